@@ -0,0 +1,185 @@
+// A small stand-in for the compression backend (see src/lib/remote.js for the
+// API), for development and tests. Run with `npm run backend`.
+//
+// With an `ffmpeg` binary on the PATH (or FFMPEG_PATH) it encodes with the
+// same arguments the browser would use. Without one it runs in echo mode:
+// progress ticks up and the output is the unchanged input.
+
+import { spawn, spawnSync } from 'node:child_process'
+import { createServer } from 'node:http'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { formats } from '../src/lib/formats'
+import { buildJobPlan } from '../src/lib/jobArgs'
+import { parseProbe } from '../src/lib/media'
+import { normalizeSettings } from '../src/lib/presets'
+
+const findFfmpeg = () => {
+  const bin = process.env.FFMPEG_PATH || 'ffmpeg'
+  return spawnSync(bin, ['-version']).status === 0 ? bin : null
+}
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  // the app page is cross-origin isolated (COEP: require-corp)
+  'Cross-Origin-Resource-Policy': 'cross-origin',
+}
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { ...cors, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// Runs ffmpeg, calling onLine for each stderr line; resolves with the exit code.
+const run = (bin, args, job, onLine) => new Promise(resolve => {
+  const child = spawn(bin, ['-hide_banner', '-nostdin', ...args], { cwd: job.dir })
+  job.child = child
+  let rest = ''
+  child.stderr.on('data', chunk => {
+    const lines = (rest + chunk).split(/[\r\n]+/)
+    rest = lines.pop()
+    lines.forEach(onLine)
+  })
+  child.on('close', code => {
+    job.child = null
+    if (rest) onLine(rest)
+    resolve(code ?? 1)
+  })
+})
+
+const encode = async (bin, job, item) => {
+  const inputName = join(job.dir, `input${item.ext}`)
+  const outputName = join(job.dir, `output.${job.format.ext}`)
+  const probeLines = []
+  await run(bin, ['-i', inputName], job, line => probeLines.push(line))
+  const inputInfo = parseProbe(probeLines)
+  const { passes } = buildJobPlan({ item, inputInfo, inputName, outputName, passLog: join(job.dir, 'pass') })
+  const duration = inputInfo.duration || 0
+  for (const [i, args] of passes.entries()) {
+    const log = []
+    const code = await run(bin, args, job, line => {
+      log.push(line)
+      const t = line.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/)
+      if (duration && t) {
+        const time = Number(t[1]) * 3600 + Number(t[2]) * 60 + Number(t[3])
+        job.progress = (i + Math.min(1, time / duration)) / passes.length
+      }
+    })
+    if (job.cancelled) return
+    if (code !== 0) throw new Error(log.filter(l => /error|invalid/i.test(l)).pop() || `ffmpeg exited with code ${code}`)
+  }
+  job.output = await readFile(outputName)
+}
+
+const echo = async (job, input, stepMs) => {
+  for (let i = 1; i <= 10 && !job.cancelled; i++) {
+    await new Promise(resolve => setTimeout(resolve, stepMs))
+    job.progress = i / 10
+  }
+  job.output = input
+}
+
+/**
+ * The stand-in as an unstarted http.Server. `ffmpegPath: null` forces echo
+ * mode; `stepMs` is the echo-mode progress interval.
+ */
+export const createBackend = ({ ffmpegPath = findFfmpeg(), stepMs = 300 } = {}) => {
+  const jobs = new Map()
+  let counter = 0
+
+  const start = async (job, file, item) => {
+    job.status = 'processing'
+    try {
+      job.dir = await mkdtemp(join(tmpdir(), 'compress-'))
+      const input = Buffer.from(await file.arrayBuffer())
+      if (ffmpegPath) {
+        await writeFile(join(job.dir, `input${item.ext}`), input)
+        await encode(ffmpegPath, job, item)
+      } else {
+        await echo(job, input, stepMs)
+      }
+      if (!job.cancelled) {
+        job.status = 'done'
+        job.progress = 1
+      }
+    } catch (err) {
+      job.status = 'error'
+      job.error = err.message
+    } finally {
+      if (job.dir) await rm(job.dir, { recursive: true, force: true })
+    }
+  }
+
+  const submit = async (req, res) => {
+    const form = await new Request('http://stand-in/', { method: 'POST', headers: req.headers, body: req, duplex: 'half' })
+      .formData()
+      .catch(() => null)
+    const file = form?.get('file')
+    if (!file || typeof file === 'string') return sendJSON(res, 400, { error: 'Expected a multipart "file" field' })
+    let settings, edits
+    try {
+      settings = JSON.parse(form.get('settings') || '{}')
+      edits = JSON.parse(form.get('edits') || 'null')
+    } catch {
+      return sendJSON(res, 400, { error: 'settings and edits must be JSON' })
+    }
+    const format = formats.find(f => f.id === settings?.formatId)
+    if (!format) return sendJSON(res, 400, { error: `Unknown format ${settings?.formatId}` })
+    const item = { settings: normalizeSettings(settings), edits, ext: file.name.match(/\.[^.]+$/)?.[0] ?? '' }
+    const id = `job-${++counter}`
+    const job = { id, status: 'queued', progress: 0, error: null, format, output: null, child: null, cancelled: false }
+    jobs.set(id, job)
+    start(job, file, item)
+    sendJSON(res, 202, { job_id: id })
+  }
+
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://stand-in')
+    const [, route, id, sub] = pathname.split('/')
+    const job = id ? jobs.get(id) : null
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors)
+      return res.end()
+    }
+    if (pathname === '/' && req.method === 'GET') {
+      return sendJSON(res, 200, { message: `Compression stand-in (${ffmpegPath ? 'ffmpeg' : 'echo mode'})` })
+    }
+    if (pathname === '/test' && req.method === 'GET') {
+      return sendJSON(res, 200, { backend: '✅ Running (stand-in)', database: 'Not used', connection_status: 'n/a', collections: [] })
+    }
+    if (route !== 'compress') return sendJSON(res, 404, { error: 'Not found' })
+    if (!id && req.method === 'POST') return submit(req, res)
+    if (!job) return sendJSON(res, 404, { error: 'Unknown job' })
+
+    if (req.method === 'DELETE' && !sub) {
+      job.cancelled = true
+      job.child?.kill('SIGKILL')
+      jobs.delete(id)
+      res.writeHead(204, cors)
+      return res.end()
+    }
+    if (req.method === 'GET' && !sub) {
+      return sendJSON(res, 200, { status: job.status, progress: job.progress, error: job.error })
+    }
+    if (req.method === 'GET' && sub === 'output') {
+      if (job.status !== 'done') return sendJSON(res, 409, { error: 'The job has not finished' })
+      res.writeHead(200, { ...cors, 'Content-Type': job.format.mime, 'Content-Length': job.output.length })
+      return res.end(job.output)
+    }
+    sendJSON(res, 405, { error: 'Method not allowed' })
+  })
+}
+
+// Tests start their own instance on a free port. It answers any origin, so
+// it only listens on this machine unless HOST says otherwise.
+if (!process.env.VITEST) {
+  const port = Number(process.env.PORT) || 8000
+  const host = process.env.HOST || '127.0.0.1'
+  createBackend().listen(port, host, () => {
+    console.log(`Compression stand-in listening on http://${host}:${port}`)
+  })
+}
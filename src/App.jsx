@@ -1,69 +1,89 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-import { FFmpeg } from '@ffmpeg/ffmpeg'
-import { toBlobURL } from '@ffmpeg/util'
+import { useEffect, useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import CompareModal from './components/CompareModal'
+import EditorModal from './components/EditorModal'
+import LogViewer from './components/LogViewer'
+import PresetPicker from './components/PresetPicker'
+import SettingsFields from './components/SettingsFields'
+import WatchFolder from './components/WatchFolder'
+import useFFmpegPool, { defaultPoolSize } from './hooks/useFFmpegPool'
+import useJobQueue from './hooks/useJobQueue'
+import useQueuePersistence from './hooks/useQueuePersistence'
+import { describeEdits, hasEdits } from './lib/edits'
+import { canPickFolder, downloadZip, saveToFolder } from './lib/export'
+import { getFormat } from './lib/formats'
+import { createItem, findDuplicates, splitItem } from './lib/jobQueue'
+import { describeProbe, formatBytes, megabytes } from './lib/media'
+import { heapLimit, maxPoolSize, WARN_POOL_SIZE } from './lib/memory'
+import { isSubtitleName, pairSubtitles, subtitlesMatch } from './lib/overlays'
+import { defaultNameTemplate, extraName, nameTokens, outputName } from './lib/naming'
+import { queryKeysInUse, settingsFromQuery } from './lib/presets'
+import { backendUrl, compressRemote, pingBackend } from './lib/remote'
+import { defaultSettings, describeSettings } from './lib/settings'
 
-function useFFmpeg() {
-  const ffmpegRef = useRef(null)
-  const [ready, setReady] = useState(false)
-  const [loadingMsg, setLoadingMsg] = useState('')
+function App() {
+  const [poolSize, setPoolSize] = useState(defaultPoolSize)
+  const { slots, booted, multiThread, loadingMsg, encoders, reload } = useFFmpegPool(poolSize)
+  const [timeoutMin, setTimeoutMin] = useState(0) // 0 = no per-job limit
+  const [offloadMode, setOffloadMode] = useState('off') // 'off' | 'large' | 'all'
+  const [offloadMB, setOffloadMB] = useState(200)
+  const [backendUp, setBackendUp] = useState(null) // null while unknown
+  const offload = useMemo(() => offloadMode === 'off' ? null : {
+    minBytes: offloadMode === 'all' ? 0 : megabytes(offloadMB),
+    run: (item, opts) => compressRemote(backendUrl, item, opts),
+  }, [offloadMode, offloadMB])
+  // items: {id, file, name, inputUrl, inputSize, inputInfo, settings, edits, status, progress, outputBlob, outputUrl, outputSize, outputExt, outputInfo, targetSize, keptOriginal, subtitleFile, extras, error, log}
+  const { queue, running, busy, engine } = useJobQueue({ slots, reloadWorker: reload, multiThread, timeoutMin, offload })
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [shared] = useState(() => settingsFromQuery(searchParams)) // from a "Copy link" URL
+  const [settings, setSettings] = useState(() => shared?.settings ?? defaultSettings) // applied to newly added files
+  const [nameTemplate, setNameTemplate] = useState(defaultNameTemplate)
+  const [exportMsg, setExportMsg] = useState('')
+
+  const [editingId, setEditingId] = useState(null)
+  const [compareId, setCompareId] = useState(null)
+  const [editorId, setEditorId] = useState(null)
+  const [logOpen, setLogOpen] = useState(() => new Set())
+  const [duplicates, setDuplicates] = useState([]) // dropped files that were already queued, with their subtitles
+  const [strays, setStrays] = useState([]) // dropped subtitle files that matched no video
+  const [drag, setDrag] = useState(null) // {id, overId} while a row is dragged
+  const { usage } = useQueuePersistence(queue, engine.restore)
 
+  // Drop the shared-settings query once applied so a reload keeps later edits.
   useEffect(() => {
-    const load = async () => {
-      try {
-        setLoadingMsg('Fetching FFmpeg core…')
-        const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd'
-        const ffmpeg = new FFmpeg()
-        ffmpeg.on('log', ({ message }) => {
-          // optionally handle logs
-          // console.debug('[ffmpeg]', message)
-        })
-        await ffmpeg.load({
-          coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-          wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-          workerURL: await toBlobURL(`${baseURL}/ffmpeg-worker.js`, 'text/javascript'),
-        })
-        ffmpegRef.current = ffmpeg
-        setReady(true)
-        setLoadingMsg('')
-      } catch (e) {
-        setLoadingMsg(`Failed to load FFmpeg: ${e.message}`)
-      }
-    }
-    load()
+    if (!shared) return
+    const next = new URLSearchParams(searchParams)
+    queryKeysInUse().forEach(k => next.delete(k))
+    setSearchParams(next, { replace: true })
   }, [])
 
-  return { ffmpeg: ffmpegRef.current, ready, loadingMsg }
-}
-
-const presets = [
-  { id: '1080p', label: '1080p (max width 1920)', scale: 1920 },
-  { id: '720p', label: '720p (max width 1280)', scale: 1280 },
-  { id: '480p', label: '480p (max width 854)', scale: 854 },
-  { id: 'original', label: 'Original size', scale: null },
-]
-
-function App() {
-  const { ffmpeg, ready, loadingMsg } = useFFmpeg()
-  const [queue, setQueue] = useState([]) // {id, file, name, status, progress, outputUrl, error}
-  const [running, setRunning] = useState(false)
-  const [crf, setCrf] = useState(24) // lower = better quality
-  const [preset, setPreset] = useState('medium') // ultrafast .. placebo
-  const [sizePreset, setSizePreset] = useState('720p')
-  const idCounter = useRef(0)
+  // Only informs the user; each job falls back to the browser on its own.
+  useEffect(() => {
+    if (offloadMode === 'off') return
+    let live = true
+    setBackendUp(null)
+    pingBackend().then(up => live && setBackendUp(up))
+    return () => { live = false }
+  }, [offloadMode])
 
-  const selectedScale = useMemo(() => presets.find(p => p.id === sizePreset)?.scale ?? null, [sizePreset])
+  // Files already in the queue are held back until the user confirms them.
+  // An .srt/.vtt named like a video goes with it; one dropped on its own is
+  // attached to a queued file of the same name.
+  const addFiles = (files, { allowDuplicates = false } = {}) => {
+    const { videos, unmatched } = pairSubtitles(Array.from(files))
+    const subtitlesOf = new Map(videos.map(v => [v.file, v.subtitles]))
+    const list = videos.map(v => v.file)
+    const { fresh, duplicates } = allowDuplicates ? { fresh: list, duplicates: [] } : findDuplicates(list, engine.getItems())
+    engine.add(fresh.map(f => createItem(f, settings, { subtitleFile: subtitlesOf.get(f) })))
+    setDuplicates([...duplicates, ...duplicates.map(f => subtitlesOf.get(f)).filter(Boolean)])
 
-  const addFiles = (files) => {
-    const items = Array.from(files).map(f => ({
-      id: `${Date.now()}-${idCounter.current++}`,
-      file: f,
-      name: f.name,
-      status: 'queued',
-      progress: 0,
-      outputUrl: null,
-      error: null,
-    }))
-    setQueue(prev => [...prev, ...items])
+    const stray = []
+    for (const sub of unmatched) {
+      const target = engine.getItems().find(it => changeable(it) && !it.subtitleFile && subtitlesMatch(it.name, sub.name))
+      if (target) engine.update(target.id, { subtitleFile: sub })
+      else stray.push(sub)
+    }
+    setStrays(stray)
   }
 
   const onDrop = (e) => {
@@ -74,67 +94,80 @@ function App() {
     if (e.target.files?.length) addFiles(e.target.files)
   }
 
-  useEffect(() => {
-    const processNext = async () => {
-      if (!ready || !ffmpeg) return
-      if (!running) return
-      const nextIndex = queue.findIndex(item => item.status === 'queued')
-      if (nextIndex === -1) {
-        // nothing queued, keep running in case new files arrive
-        return
-      }
-      const item = queue[nextIndex]
-      try {
-        updateItem(item.id, { status: 'processing', progress: 0, error: null })
-        const inputName = `in_${item.id}`
-        const outputName = `out_${item.id}.mp4`
-        await ffmpeg.writeFile(inputName, await item.file.arrayBuffer())
+  const updateItem = (id, patch) => engine.update(id, patch)
 
-        ffmpeg.on('progress', ({ progress }) => {
-          updateItem(item.id, { progress: Math.round((progress || 0) * 100) })
-        })
+  const updateItemSettings = (id, patch) => {
+    const item = engine.getItems().find(it => it.id === id)
+    if (item) engine.update(id, { settings: { ...item.settings, ...patch } })
+  }
 
-        const vfArgs = selectedScale ? ['-vf', `scale='min(${selectedScale},iw)':-2`] : []
-        const args = [
-          '-i', inputName,
-          ...vfArgs,
-          '-c:v', 'libx264',
-          '-crf', String(crf),
-          '-preset', preset,
-          '-c:a', 'aac', '-b:a', '128k',
-          '-movflags', '+faststart',
-          outputName,
-        ]
-        await ffmpeg.exec(args)
-        const data = await ffmpeg.readFile(outputName)
-        const blob = new Blob([data.buffer], { type: 'video/mp4' })
-        const url = URL.createObjectURL(blob)
-        updateItem(item.id, { status: 'done', progress: 100, outputUrl: url })
+  // Replaces an item that is too large with parts covering consecutive time
+  // ranges of the same (trimmed) input.
+  const splitIntoParts = (item, parts) => engine.replace(item.id, splitItem(item, parts))
 
-        // cleanup
-        try { await ffmpeg.deleteFile(inputName) } catch {}
-        try { await ffmpeg.deleteFile(outputName) } catch {}
-      } catch (err) {
-        updateItem(item.id, { status: 'error', error: err?.message || String(err) })
-      }
-    }
+  const clearFinished = () => {
+    engine.remove(queue.filter(it => it.status === 'done' || it.status === 'error').map(it => it.id))
+  }
 
-    processNext()
-  }, [queue, running, ready, ffmpeg, selectedScale, crf, preset])
+  // Removes everything except the running job; persistence drops the stored copies.
+  const clearAllItems = () => {
+    if (!window.confirm('Remove every file from the queue and delete all saved inputs and outputs?')) return
+    engine.remove(queue.map(it => it.id))
+  }
+
+  const cancelItem = (id) => engine.cancel(id)
 
-  const updateItem = (id, patch) => {
-    setQueue(prev => prev.map(it => it.id === id ? { ...it, ...patch } : it))
+  // Dropping a row on another takes that row's place.
+  const dragHandlers = (item, index) => ({
+    onDragOver: e => {
+      if (!drag) return
+      e.preventDefault()
+      if (drag.overId !== item.id) setDrag({ ...drag, overId: item.id })
+    },
+    onDrop: e => {
+      if (!drag) return
+      e.preventDefault()
+      engine.move(drag.id, index)
+      setDrag(null)
+    },
+  })
+  const startDrag = (e, id) => {
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', id)
+    e.dataTransfer.setDragImage(e.currentTarget.closest('li'), 0, 0)
+    setDrag({ id, overId: null })
   }
 
-  const clearFinished = () => {
-    setQueue(prev => prev.filter(it => it.status !== 'done' && it.status !== 'error'))
+  const exportFinished = async (target) => {
+    const items = queue.filter(it => it.status === 'done' && (it.outputBlob || it.keptOriginal))
+    if (!items.length) return
+    const run = target === 'folder' ? saveToFolder : downloadZip
+    try {
+      const saved = await run(items, nameTemplate, (i, n) => setExportMsg(`Exporting ${i + 1} of ${n}…`))
+      setExportMsg(saved ? `Exported ${items.length} file${items.length === 1 ? '' : 's'}.` : '')
+    } catch (err) {
+      setExportMsg(`Export failed: ${err?.message || String(err)}`)
+    }
   }
 
-  const cancelItem = (id) => {
-    // ffmpeg.wasm does not support mid-job cancel cleanly; mark as skipped
-    updateItem(id, { status: 'skipped' })
+  const toggleLog = (id) => {
+    setLogOpen(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
   }
 
+  const compareItem = queue.find(it => it.id === compareId && it.outputUrl)
+  // settings and edits can change until the item starts, and again before a retry
+  const changeable = (item) => ['queued', 'error', 'skipped'].includes(item.status)
+  // the poster if there is one, else the contact sheet or preview
+  const thumbnailOf = (item) => item.extras?.find(e => e.kind === 'poster') ?? item.extras?.[0]
+  const editorItem = queue.find(it => it.id === editorId && changeable(it))
+  const nextId = queue.find(q => q.status === 'queued')?.id
+  const dragFrom = drag ? queue.findIndex(it => it.id === drag.id) : -1
+
   const totalQueued = queue.filter(q => q.status === 'queued').length
   const totalProcessing = queue.filter(q => q.status === 'processing').length
   const totalDone = queue.filter(q => q.status === 'done').length
@@ -143,17 +176,20 @@ function App() {
     <div className="min-h-screen bg-slate-950 text-white">
       <header className="px-6 py-8 text-center">
         <h1 className="text-3xl font-bold">Infinite Video Compressor</h1>
-        <p className="text-slate-300 mt-2">Drop videos and they will compress continuously in your browser. Add more at any time.</p>
+        <p className="text-slate-300 mt-2">Drop videos or watch a folder and they will compress continuously in your browser. Add more at any time.</p>
       </header>
 
       <main className="max-w-6xl mx-auto px-6 pb-16">
-        {!ready ? (
+        {!booted ? (
           <div className="bg-slate-900/70 border border-slate-800 rounded-xl p-6 text-center">
             <p className="text-lg">{loadingMsg || 'Initializing…'}</p>
-            <p className="text-slate-400 mt-2">This loads a WebAssembly build of FFmpeg (~3–4 MB). It runs fully locally.</p>
+            <p className="text-slate-400 mt-2">This loads a WebAssembly build of FFmpeg (~30 MB) bundled with the app. It runs fully locally and is cached for offline use after the first visit.</p>
           </div>
         ) : (
           <>
+            {loadingMsg && (
+              <div className="mb-4 bg-slate-900/70 border border-slate-800 rounded-xl px-4 py-2 text-sm text-slate-300">{loadingMsg}</div>
+            )}
             <section className="grid md:grid-cols-3 gap-6">
               <div className="md:col-span-2">
                 <div
@@ -161,55 +197,183 @@ function App() {
                   onDrop={onDrop}
                   className="border-2 border-dashed border-slate-700 hover:border-slate-500 rounded-2xl p-8 text-center bg-slate-900/40">
                   <p className="text-slate-200 font-medium">Drag & drop videos here</p>
-                  <p className="text-slate-400 text-sm mt-1">MP4/MOV/WEBM, multiple files supported</p>
+                  <p className="text-slate-400 text-sm mt-1">MP4/MOV/WEBM, multiple files supported. Add an .srt or .vtt with the same name to burn in subtitles.</p>
                   <div className="mt-4">
                     <label className="inline-block">
-                      <input type="file" accept="video/*" multiple className="hidden" onChange={onBrowse} />
+                      <input type="file" accept="video/*,.srt,.vtt" multiple className="hidden" onChange={onBrowse} />
                       <span className="cursor-pointer bg-blue-600 hover:bg-blue-500 px-4 py-2 rounded">Browse Files</span>
                     </label>
                   </div>
                 </div>
 
+                <div className="mt-6 bg-slate-900/60 border border-slate-800 rounded-2xl p-4">
+                  <h2 className="font-semibold mb-3">Watch Folder</h2>
+                  <WatchFolder engine={engine} settings={settings} nameTemplate={nameTemplate} />
+                </div>
+
                 <div className="mt-6 bg-slate-900/60 border border-slate-800 rounded-2xl">
                   <div className="px-4 py-3 border-b border-slate-800 flex items-center justify-between">
                     <h2 className="font-semibold">Queue</h2>
                     <div className="text-sm text-slate-400">Queued: {totalQueued} • Processing: {totalProcessing} • Done: {totalDone}</div>
                   </div>
+                  {duplicates.length > 0 && (
+                    <div className="px-4 py-2 border-b border-slate-800 text-sm text-amber-300 flex items-center gap-3">
+                      <span className="flex-1 min-w-0 truncate">
+                        Already in the queue, not added: {duplicates.filter(f => !isSubtitleName(f.name)).map(f => f.name).join(', ')}
+                      </span>
+                      <button onClick={() => addFiles(duplicates, { allowDuplicates: true })} className="text-slate-200 hover:text-white">Add anyway</button>
+                      <button onClick={() => setDuplicates([])} className="text-slate-400 hover:text-white">Dismiss</button>
+                    </div>
+                  )}
+                  {strays.length > 0 && (
+                    <div className="px-4 py-2 border-b border-slate-800 text-sm text-amber-300 flex items-center gap-3">
+                      <span className="flex-1 min-w-0 truncate">
+                        No queued video has the same name as: {strays.map(f => f.name).join(', ')}
+                      </span>
+                      <button onClick={() => setStrays([])} className="text-slate-400 hover:text-white">Dismiss</button>
+                    </div>
+                  )}
                   <ul className="divide-y divide-slate-800">
                     {queue.length === 0 && (
                       <li className="p-4 text-slate-400">No videos yet. Add some to get started.</li>
                     )}
-                    {queue.map(item => (
-                      <li key={item.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+                    {queue.map((item, index) => (
+                      <li
+                        key={item.id}
+                        {...dragHandlers(item, index)}
+                        className={`relative p-4 flex flex-col md:flex-row md:items-center gap-3 ${drag?.id === item.id ? 'opacity-50' : ''} ${drag?.overId === item.id && drag.id !== item.id ? (index < dragFrom ? 'border-t-2 border-t-blue-500' : 'border-b-2 border-b-blue-500') : ''}`}>
+                        {thumbnailOf(item) && (
+                          <img src={thumbnailOf(item).url} alt="" className="w-24 h-14 shrink-0 object-cover rounded bg-slate-800 border border-slate-700" />
+                        )}
                         <div className="flex-1 min-w-0">
                           <div className="flex items-center gap-3">
+                            <span
+                              draggable
+                              onDragStart={e => startDrag(e, item.id)}
+                              onDragEnd={() => setDrag(null)}
+                              title="Drag to reorder"
+                              className="cursor-grab select-none text-slate-500 hover:text-slate-300">⋮⋮</span>
                             <span className="truncate font-medium">{item.name}</span>
                             <span className="text-xs px-2 py-0.5 rounded bg-slate-800 border border-slate-700 text-slate-300">{item.status}</span>
+                            {item.offloaded && <span className="text-xs px-2 py-0.5 rounded bg-sky-900/60 border border-sky-800 text-sky-300">server</span>}
                           </div>
+                          <p className="text-xs text-slate-400 mt-1 truncate">
+                            {describeSettings(item.settings)}
+                            {describeEdits(item.edits) && <span className="text-sky-400"> • {describeEdits(item.edits)}</span>}
+                          </p>
                           <div className="w-full h-2 bg-slate-800 rounded mt-2 overflow-hidden">
                             <div className="h-full bg-blue-600 transition-all" style={{ width: `${item.progress || 0}%` }} />
                           </div>
+                          {item.outputSize != null ? (
+                            <div className="text-sm mt-1 space-y-0.5">
+                              <p className="text-slate-300">
+                                {formatBytes(item.inputSize)} → {formatBytes(item.outputSize)}
+                                {item.inputSize > 0 && (item.outputSize < item.inputSize
+                                  ? <span className="text-emerald-400"> • {Math.round((1 - item.outputSize / item.inputSize) * 100)}% smaller</span>
+                                  : <span className="text-amber-400"> • {Math.round((item.outputSize / item.inputSize - 1) * 100)}% larger than the original</span>)}
+                                {item.targetSize != null && (item.outputSize <= item.targetSize
+                                  ? <span className="text-emerald-400"> • under {formatBytes(item.targetSize)} target</span>
+                                  : <span className="text-amber-400"> • over {formatBytes(item.targetSize)} target</span>)}
+                              </p>
+                              <p className="text-xs text-slate-400 truncate">{describeProbe(item.inputInfo)} → {describeProbe(item.outputInfo)}</p>
+                              {item.keptOriginal && <p className="text-xs text-slate-400">Keeping the original: the download is the unmodified file.</p>}
+                            </div>
+                          ) : item.inputInfo && (
+                            <p className="text-xs text-slate-400 mt-1 truncate">{formatBytes(item.inputSize)} • {describeProbe(item.inputInfo)}</p>
+                          )}
+                          {item.subtitleFile && (
+                            <p className="text-xs text-slate-400 mt-1 flex items-center gap-2">
+                              <span className="truncate">
+                                Subtitles: {item.subtitleFile.name}
+                                {item.settings.burnSubtitles ? ' (burned in)' : ' (not used: turn on "Burn in subtitles" in Settings)'}
+                              </span>
+                              {changeable(item) && (
+                                <button onClick={() => updateItem(item.id, { subtitleFile: null })} title="Detach subtitles" className="text-slate-500 hover:text-red-400">✕</button>
+                              )}
+                            </p>
+                          )}
+                          {item.extras?.length > 0 && (
+                            <p className="text-xs mt-1 flex flex-wrap gap-x-3">
+                              {item.extras.map(extra => (
+                                <a key={extra.kind} href={extra.url} download={extraName(nameTemplate, item, extra)} className="text-sky-400 hover:text-sky-300">
+                                  {extra.label} ({extra.ext.toUpperCase()}, {formatBytes(extra.size)})
+                                </a>
+                              ))}
+                            </p>
+                          )}
+                          {item.extrasNote && <p className="text-amber-400 text-xs mt-1">{item.extrasNote}</p>}
+                          {item.offloadNote && <p className="text-amber-400 text-xs mt-1">{item.offloadNote}</p>}
                           {item.error && <p className="text-red-400 text-sm mt-1">{item.error}</p>}
+                          {item.log && (
+                            <button onClick={() => toggleLog(item.id)} className="mt-1 text-xs text-slate-400 hover:text-white">{logOpen.has(item.id) ? 'Hide log' : 'Show log'}</button>
+                          )}
+                          {item.log && logOpen.has(item.id) && <LogViewer name={item.name} lines={item.log} />}
+                          {item.status === 'error' && item.tooLarge?.parts && item.inputInfo?.duration && (
+                            <button onClick={() => splitIntoParts(item, item.tooLarge.parts)} className="mt-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Split into {item.tooLarge.parts} parts</button>
+                          )}
                         </div>
                         <div className="flex items-center gap-2">
+                          {item.outputUrl && item.outputSize >= item.inputSize && !item.keptOriginal && item.inputUrl && (
+                            <button onClick={() => updateItem(item.id, { keptOriginal: true })} className="bg-amber-700 hover:bg-amber-600 px-3 py-1.5 rounded text-sm">Keep original</button>
+                          )}
+                          {item.outputUrl && item.inputUrl && item.outputInfo?.video && getFormat(item.settings.formatId).kind === 'video' && (
+                            <button onClick={() => setCompareId(item.id)} className="bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Compare</button>
+                          )}
                           {item.outputUrl && (
-                            <a href={item.outputUrl} download={item.name.replace(/\.[^.]+$/, '') + '-compressed.mp4'} className="bg-emerald-600 hover:bg-emerald-500 px-3 py-1.5 rounded text-sm">Download</a>
+                            <a href={item.keptOriginal ? item.inputUrl : item.outputUrl} download={outputName(nameTemplate, item)} className="bg-emerald-600 hover:bg-emerald-500 px-3 py-1.5 rounded text-sm">Download</a>
+                          )}
+                          {item.status === 'queued' && item.id !== nextId && (
+                            <button onClick={() => engine.processNext(item.id)} className="bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Process next</button>
+                          )}
+                          {changeable(item) && item.inputUrl && (
+                            <button onClick={() => setEditorId(item.id)} className="bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Edit</button>
+                          )}
+                          {changeable(item) && (
+                            <button onClick={() => setEditingId(editingId === item.id ? null : item.id)} className="bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Settings</button>
+                          )}
+                          {(item.status === 'error' || item.status === 'skipped') && item.file && (
+                            <button onClick={() => engine.retry(item.id)} className="bg-blue-600 hover:bg-blue-500 px-3 py-1.5 rounded text-sm">Retry</button>
                           )}
                           {!['done','error','skipped'].includes(item.status) && (
-                            <button onClick={() => cancelItem(item.id)} className="bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded text-sm">Skip</button>
+                            <button onClick={() => cancelItem(item.id)} className="bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded text-sm">{item.status === 'processing' ? 'Cancel' : 'Skip'}</button>
+                          )}
+                          {item.status !== 'processing' && (
+                            <button onClick={() => engine.remove([item.id])} title="Remove from the queue" className="text-slate-400 hover:text-red-400 px-2 py-1.5 text-sm">✕</button>
                           )}
                         </div>
+                        {editingId === item.id && changeable(item) && (
+                          <div className="absolute right-4 top-full -mt-2 z-10 w-80 bg-slate-900 border border-slate-700 rounded-xl p-4 shadow-xl space-y-4">
+                            <SettingsFields settings={item.settings} onChange={patch => updateItemSettings(item.id, patch)} encoders={encoders} audioStreams={item.inputInfo?.audio} />
+                            <div className="flex justify-end">
+                              <button onClick={() => setEditingId(null)} className="bg-blue-600 hover:bg-blue-500 px-3 py-1.5 rounded text-sm">Done</button>
+                            </div>
+                          </div>
+                        )}
                       </li>
                     ))}
                   </ul>
+                  {exportMsg && (
+                    <div className="px-4 py-2 border-t border-slate-800 text-sm text-slate-300">{exportMsg}</div>
+                  )}
                   {queue.length > 0 && (
                     <div className="px-4 py-3 border-t border-slate-800 flex items-center justify-between">
-                      <button onClick={clearFinished} className="text-sm text-slate-300 hover:text-white">Clear finished</button>
+                      <div className="flex items-center gap-4">
+                        <button onClick={clearFinished} className="text-sm text-slate-300 hover:text-white">Clear finished</button>
+                        <button onClick={clearAllItems} className="text-sm text-slate-300 hover:text-red-400">Remove all</button>
+                      </div>
                       <div className="flex items-center gap-3">
+                        {totalDone > 0 && (
+                          <>
+                            <button onClick={() => exportFinished('zip')} className="bg-emerald-700 hover:bg-emerald-600 px-3 py-2 rounded text-sm">Download all (ZIP)</button>
+                            {canPickFolder() && (
+                              <button onClick={() => exportFinished('folder')} className="bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-2 rounded text-sm">Save to folder…</button>
+                            )}
+                          </>
+                        )}
                         {!running ? (
-                          <button onClick={() => setRunning(true)} className="bg-blue-600 hover:bg-blue-500 px-4 py-2 rounded font-semibold">Start</button>
+                          <button onClick={engine.start} className="bg-blue-600 hover:bg-blue-500 px-4 py-2 rounded font-semibold">Start</button>
                         ) : (
-                          <button onClick={() => setRunning(false)} className="bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded font-semibold">Pause</button>
+                          <button onClick={engine.pause} className="bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded font-semibold">Pause</button>
                         )}
                       </div>
                     </div>
@@ -220,28 +384,73 @@ function App() {
               <aside className="bg-slate-900/60 border border-slate-800 rounded-2xl p-5">
                 <h2 className="font-semibold mb-3">Compression Settings</h2>
                 <div className="space-y-4">
+                  {shared && (
+                    <p className="text-xs text-sky-400">Loaded {shared.name ? `"${shared.name}"` : 'settings'} from a shared link.</p>
+                  )}
+                  <PresetPicker settings={settings} onApply={preset => setSettings({ ...preset })} />
+                  <SettingsFields settings={settings} onChange={patch => setSettings(prev => ({ ...prev, ...patch }))} encoders={encoders} />
+                  <p className="text-xs text-slate-400">Applies to files added from now on. Use a row's Settings button to change a queued file.</p>
                   <div>
-                    <label className="block text-sm text-slate-300 mb-1">Max Size</label>
-                    <select value={sizePreset} onChange={e => setSizePreset(e.target.value)} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2">
-                      {presets.map(p => (
-                        <option key={p.id} value={p.id}>{p.label}</option>
+                    <label className="block text-sm text-slate-300 mb-1">Output Filename</label>
+                    <input type="text" value={nameTemplate} onChange={e => setNameTemplate(e.target.value)} placeholder={defaultNameTemplate} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2" />
+                    <p className="text-xs text-slate-400 mt-1">
+                      {nameTokens.map(t => <span key={t.token} title={t.help} className="mr-2 font-mono">{t.token}</span>)}
+                      The extension is added automatically; repeated names get a number.
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-slate-300 mb-1">Parallel Jobs</label>
+                    <select value={poolSize} onChange={e => setPoolSize(Number(e.target.value))} disabled={busy} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 disabled:opacity-50">
+                      {Array.from({ length: maxPoolSize(multiThread) }, (_, i) => i + 1).map(n => (
+                        <option key={n} value={n}>{n}</option>
                       ))}
                     </select>
+                    <p className="text-xs text-slate-400 mt-1">
+                      {multiThread
+                        ? 'Multi-threaded core: each job also uses several threads.'
+                        : 'Single-threaded core: this page is not cross-origin isolated, so SharedArrayBuffer is unavailable.'}
+                      {busy && ' Pause and let running jobs and probes finish to change this.'}
+                      {multiThread
+                        ? ` Each job loads its own FFmpeg core with a fixed ${heapLimit(true) / 1024 ** 3} GB heap.`
+                        : ` Each job loads its own FFmpeg core, whose heap can grow to ${heapLimit(false) / 1024 ** 3} GB.`}
+                      {' '}Videos are read from disk as they are needed.
+                    </p>
+                    {poolSize > WARN_POOL_SIZE && (
+                      <p className="text-xs text-amber-400 mt-1">More than {WARN_POOL_SIZE} parallel jobs can run the tab out of memory and crash it.</p>
+                    )}
                   </div>
                   <div>
-                    <label className="block text-sm text-slate-300 mb-1">Quality (CRF {crf})</label>
-                    <input type="range" min={18} max={32} value={crf} onChange={e => setCrf(Number(e.target.value))} className="w-full" />
-                    <p className="text-xs text-slate-400 mt-1">Lower = better quality/larger file. 23–25 is a good balance.</p>
+                    <label className="block text-sm text-slate-300 mb-1">Job Timeout (minutes)</label>
+                    <input type="number" min={0} value={timeoutMin} onChange={e => setTimeoutMin(Math.max(0, Number(e.target.value) || 0))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2" />
+                    <p className="text-xs text-slate-400 mt-1">Stops a file that runs longer than this. 0 = no limit.</p>
                   </div>
                   <div>
-                    <label className="block text-sm text-slate-300 mb-1">Speed Preset</label>
-                    <select value={preset} onChange={e => setPreset(e.target.value)} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2">
-                      {['ultrafast','superfast','veryfast','faster','fast','medium','slow','slower','veryslow'].map(p => (
-                        <option key={p} value={p}>{p}</option>
-                      ))}
+                    <label className="block text-sm text-slate-300 mb-1">Server Offload</label>
+                    <select value={offloadMode} onChange={e => setOffloadMode(e.target.value)} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2">
+                      <option value="off">Off: compress in this browser</option>
+                      <option value="large">Large files only</option>
+                      <option value="all">All files</option>
                     </select>
-                    <p className="text-xs text-slate-400 mt-1">Faster = bigger file. Slower = smaller file, more CPU.</p>
+                    {offloadMode === 'large' && (
+                      <div className="mt-2 flex items-center gap-2 text-sm text-slate-300">
+                        <span>Files over</span>
+                        <input type="number" min={1} value={offloadMB} onChange={e => setOffloadMB(Math.max(1, Number(e.target.value) || 1))} className="w-24 bg-slate-950 border border-slate-800 rounded px-2 py-1" />
+                        <span>MB</span>
+                      </div>
+                    )}
+                    {offloadMode !== 'off' && (
+                      <p className="text-xs text-slate-400 mt-1">
+                        {backendUp == null ? `Checking ${backendUrl}…` : backendUp
+                          ? `Uploads to ${backendUrl}. Those files leave your device.`
+                          : `${backendUrl} is not reachable. Files are compressed in this browser until it is.`}
+                      </p>
+                    )}
                   </div>
+                  {usage && (
+                    <div className="text-xs text-slate-400">
+                      Saved in this browser: {formatBytes(usage.usage)} of {formatBytes(usage.quota)}. The queue and finished files survive a reload until you clear them.
+                    </div>
+                  )}
                   <div className="text-xs text-slate-400">
                     Tip: Keep this tab open. The queue will keep processing infinitely—add files anytime.
                   </div>
@@ -252,8 +461,11 @@ function App() {
         )}
       </main>
 
+      {editorItem && <EditorModal item={editorItem} onSave={edits => updateItem(editorItem.id, { edits: hasEdits(edits) ? edits : null })} onClose={() => setEditorId(null)} />}
+      {compareItem && <CompareModal item={compareItem} onClose={() => setCompareId(null)} />}
+
       <footer className="text-center text-slate-500 text-sm py-8">
-        Powered by FFmpeg.wasm. Your videos never leave your device.
+        Powered by FFmpeg.wasm. Your videos never leave your device unless you turn on server offload.
       </footer>
     </div>
   )
@@ -0,0 +1,105 @@
+import { useEffect, useRef, useState } from 'react'
+import { inputTime, outputTime } from '../lib/edits'
+
+// Keeps the edited `follower` on the same moment as the original `leader`;
+// small drift is left alone so the follower does not stutter from constant
+// seeking. Outside the trimmed range the follower holds its first or last
+// frame. `layout` changes whenever new <video> elements are mounted.
+const useSyncedPlayback = (leaderRef, followerRef, layout, edits) => {
+  useEffect(() => {
+    const leader = leaderRef.current
+    const follower = followerRef.current
+    if (!leader || !follower) return
+    const speed = edits?.speed ?? 1
+    const sync = () => {
+      const t = outputTime(edits, leader.currentTime)
+      const end = Number.isFinite(follower.duration) ? follower.duration : Infinity
+      const at = Math.min(Math.max(t, 0), end)
+      if (Math.abs(follower.currentTime - at) > 0.15) follower.currentTime = at
+      follower.playbackRate = leader.playbackRate / speed
+      const play = !leader.paused && t >= 0 && t < end
+      if (play && follower.paused) follower.play().catch(() => {})
+      if (!play && !follower.paused) follower.pause()
+    }
+    // open the original where the compressed copy starts
+    const onLoaded = () => {
+      if (leader.currentTime < inputTime(edits, 0)) leader.currentTime = inputTime(edits, 0)
+    }
+    if (leader.readyState >= 1) onLoaded()
+    const events = [['loadedmetadata', onLoaded], ['play', sync], ['pause', sync], ['seeked', sync], ['timeupdate', sync], ['ratechange', sync]]
+    events.forEach(([name, fn]) => leader.addEventListener(name, fn))
+    return () => events.forEach(([name, fn]) => leader.removeEventListener(name, fn))
+  }, [leaderRef, followerRef, layout, edits])
+}
+
+/**
+ * Original vs compressed playback, side by side or as a wipe slider. The
+ * original drives playback; the compressed copy is muted and follows it.
+ */
+function CompareModal({ item, onClose }) {
+  const [view, setView] = useState('slider') // 'slider' | 'side'
+  const [split, setSplit] = useState(50)
+  const originalRef = useRef(null)
+  const compressedRef = useRef(null)
+  useSyncedPlayback(originalRef, compressedRef, view, item.edits)
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onClose])
+
+  const tab = (id, label) => (
+    <button onClick={() => setView(id)} className={`px-3 py-1.5 rounded text-sm ${view === id ? 'bg-blue-600' : 'bg-slate-800 hover:bg-slate-700'}`}>{label}</button>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="bg-slate-900 border border-slate-700 rounded-2xl p-5 w-full max-w-5xl" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4 gap-4">
+          <h2 className="font-semibold truncate">{item.name}</h2>
+          <div className="flex items-center gap-2">
+            {tab('slider', 'Slider')}
+            {tab('side', 'Side by side')}
+            <button onClick={onClose} className="bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded text-sm">Close</button>
+          </div>
+        </div>
+
+        {view === 'slider' ? (
+          <div>
+            <div className="relative bg-black rounded overflow-hidden">
+              <video ref={originalRef} src={item.inputUrl} controls className="w-full block" />
+              <video
+                ref={compressedRef}
+                src={item.outputUrl}
+                muted
+                className="absolute inset-0 w-full h-full pointer-events-none"
+                style={{ clipPath: `inset(0 0 0 ${split}%)` }}
+              />
+              <div className="absolute inset-y-0 w-0.5 bg-white/80 pointer-events-none" style={{ left: `${split}%` }} />
+            </div>
+            <input type="range" min={0} max={100} value={split} onChange={e => setSplit(Number(e.target.value))} className="w-full mt-3" />
+            <div className="flex justify-between text-xs text-slate-400">
+              <span>◀ Original</span>
+              <span>Compressed ▶</span>
+            </div>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <p className="text-xs text-slate-400 mb-1">Original</p>
+              <video ref={originalRef} src={item.inputUrl} controls className="w-full bg-black rounded" />
+            </div>
+            <div>
+              <p className="text-xs text-slate-400 mb-1">Compressed</p>
+              <video ref={compressedRef} src={item.outputUrl} muted className="w-full bg-black rounded" />
+            </div>
+          </div>
+        )}
+        <p className="text-xs text-slate-500 mt-3">Use the original's controls; the compressed copy follows. Some source formats (e.g. HEVC .mov) may not play in every browser.</p>
+      </div>
+    </div>
+  )
+}
+
+export default CompareModal
@@ -0,0 +1,205 @@
+import { useEffect, useRef, useState } from 'react'
+import { defaultEdits, formatTime, speedOptions } from '../lib/edits'
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n))
+const MIN_CROP = 0.05
+
+// Which crop edges a drag moves; the body moves all four.
+const handles = {
+  move: { left: true, top: true, right: true, bottom: true, move: true },
+  nw: { left: true, top: true },
+  ne: { right: true, top: true },
+  sw: { left: true, bottom: true },
+  se: { right: true, bottom: true },
+}
+
+const handleClass = {
+  nw: '-left-1.5 -top-1.5 cursor-nwse-resize',
+  ne: '-right-1.5 -top-1.5 cursor-nesw-resize',
+  sw: '-left-1.5 -bottom-1.5 cursor-nesw-resize',
+  se: '-right-1.5 -bottom-1.5 cursor-nwse-resize',
+}
+
+const dragCrop = (start, edges, dx, dy) => {
+  if (edges.move) {
+    return { ...start, x: clamp(start.x + dx, 0, 1 - start.w), y: clamp(start.y + dy, 0, 1 - start.h) }
+  }
+  let left = start.x
+  let top = start.y
+  let right = start.x + start.w
+  let bottom = start.y + start.h
+  if (edges.left) left = clamp(left + dx, 0, right - MIN_CROP)
+  if (edges.right) right = clamp(right + dx, left + MIN_CROP, 1)
+  if (edges.top) top = clamp(top + dy, 0, bottom - MIN_CROP)
+  if (edges.bottom) bottom = clamp(bottom + dy, top + MIN_CROP, 1)
+  return { x: left, y: top, w: right - left, h: bottom - top }
+}
+
+/**
+ * Trim, crop, rotate/flip and speed for one queue item. The crop rectangle
+ * is drawn on the source frame; rotation and flips are applied after it.
+ */
+function EditorModal({ item, onSave, onClose }) {
+  const [edits, setEdits] = useState({ ...defaultEdits, ...item.edits })
+  const [duration, setDuration] = useState(item.inputInfo?.duration ?? 0)
+  const [aspect, setAspect] = useState(16 / 9)
+  const [time, setTime] = useState(0)
+  const videoRef = useRef(null)
+  const stageRef = useRef(null)
+  const patch = (p) => setEdits(prev => ({ ...prev, ...p }))
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onClose])
+
+  const end = edits.end ?? duration
+
+  // Keep the preview inside the trimmed range.
+  const onTimeUpdate = () => {
+    const video = videoRef.current
+    setTime(video.currentTime)
+    if (end && video.currentTime > end) {
+      video.pause()
+      video.currentTime = edits.start
+    }
+  }
+
+  const seek = (t) => {
+    if (videoRef.current) videoRef.current.currentTime = t
+  }
+
+  const setIn = (t) => {
+    const start = clamp(t, 0, Math.max(0, end - 0.1))
+    patch({ start })
+    seek(start)
+  }
+  const setOut = (t) => {
+    const out = clamp(t, edits.start + 0.1, duration)
+    patch({ end: out >= duration ? null : out })
+    seek(out)
+  }
+
+  const startDrag = (kind) => (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    const rect = stageRef.current.getBoundingClientRect()
+    const origin = { x: e.clientX, y: e.clientY, crop: edits.crop }
+    const onMove = (ev) => {
+      const dx = (ev.clientX - origin.x) / rect.width
+      const dy = (ev.clientY - origin.y) / rect.height
+      patch({ crop: dragCrop(origin.crop, handles[kind], dx, dy) })
+    }
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove)
+      window.removeEventListener('pointerup', onUp)
+    }
+    window.addEventListener('pointermove', onMove)
+    window.addEventListener('pointerup', onUp)
+  }
+
+  const rotateBy = (deg) => patch({ rotate: (edits.rotate + deg + 360) % 360 })
+  const toggleBtn = (active) => `px-3 py-1.5 rounded text-sm ${active ? 'bg-blue-600' : 'bg-slate-800 hover:bg-slate-700'}`
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-6" onClick={onClose}>
+      <div className="bg-slate-900 border border-slate-700 rounded-2xl p-5 w-full max-w-4xl max-h-full overflow-y-auto" onClick={e => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4 gap-4">
+          <h2 className="font-semibold truncate">Edit {item.name}</h2>
+          <button onClick={onClose} className="bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded text-sm">Close</button>
+        </div>
+
+        <div className="bg-black rounded flex justify-center">
+          <div ref={stageRef} className="relative w-full max-h-[55vh]" style={{ aspectRatio: aspect, maxWidth: `calc(55vh * ${aspect})` }}>
+            <video
+              ref={videoRef}
+              src={item.inputUrl}
+              controls={!edits.crop}
+              className="absolute inset-0 w-full h-full"
+              onLoadedMetadata={e => {
+                const v = e.currentTarget
+                if (v.videoWidth && v.videoHeight) setAspect(v.videoWidth / v.videoHeight)
+                if (Number.isFinite(v.duration)) setDuration(v.duration)
+                v.currentTime = edits.start
+              }}
+              onTimeUpdate={onTimeUpdate}
+            />
+            {edits.crop && (
+              <div
+                onPointerDown={startDrag('move')}
+                className="absolute border-2 border-white cursor-move touch-none"
+                style={{
+                  left: `${edits.crop.x * 100}%`,
+                  top: `${edits.crop.y * 100}%`,
+                  width: `${edits.crop.w * 100}%`,
+                  height: `${edits.crop.h * 100}%`,
+                  boxShadow: '0 0 0 9999px rgba(0,0,0,0.55)',
+                }}
+              >
+                {Object.keys(handleClass).map(h => (
+                  <span key={h} onPointerDown={startDrag(h)} className={`absolute w-3 h-3 bg-white rounded-sm ${handleClass[h]}`} />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="mt-4 space-y-4">
+          <div>
+            <div className="flex items-center justify-between text-sm text-slate-300 mb-1">
+              <span>Trim {formatTime(edits.start)} – {formatTime(end)}</span>
+              <span className="text-slate-400">at {formatTime(time)}</span>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-xs text-slate-400">
+                In
+                <input type="range" min={0} max={duration || 0} step={0.1} value={edits.start} onChange={e => setIn(Number(e.target.value))} className="w-full" />
+              </label>
+              <label className="text-xs text-slate-400">
+                Out
+                <input type="range" min={0} max={duration || 0} step={0.1} value={end} onChange={e => setOut(Number(e.target.value))} className="w-full" />
+              </label>
+            </div>
+            <div className="flex gap-2 mt-2">
+              <button onClick={() => setIn(time)} className="bg-slate-800 hover:bg-slate-700 px-3 py-1.5 rounded text-sm">Set in here</button>
+              <button onClick={() => setOut(time)} className="bg-slate-800 hover:bg-slate-700 px-3 py-1.5 rounded text-sm">Set out here</button>
+              <button onClick={() => { videoRef.current?.paused ? videoRef.current.play() : videoRef.current?.pause() }} className="bg-slate-800 hover:bg-slate-700 px-3 py-1.5 rounded text-sm">Play/Pause</button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={() => patch({ crop: edits.crop ? null : { x: 0.1, y: 0.1, w: 0.8, h: 0.8 } })} className={toggleBtn(!!edits.crop)}>Crop</button>
+            <button onClick={() => rotateBy(-90)} className={toggleBtn(false)}>⟲ 90°</button>
+            <button onClick={() => rotateBy(90)} className={toggleBtn(false)}>⟳ 90°</button>
+            <button onClick={() => patch({ flipH: !edits.flipH })} className={toggleBtn(edits.flipH)}>Flip H</button>
+            <button onClick={() => patch({ flipV: !edits.flipV })} className={toggleBtn(edits.flipV)}>Flip V</button>
+            <label className="text-sm text-slate-300 flex items-center gap-2 ml-2">
+              Speed
+              <select value={edits.speed} onChange={e => patch({ speed: Number(e.target.value) })} className="bg-slate-950 border border-slate-800 rounded px-2 py-1">
+                {speedOptions.map(s => (
+                  <option key={s} value={s}>{s}×</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {(edits.rotate !== 0 || edits.flipH || edits.flipV) && (
+            <p className="text-xs text-slate-400">
+              Output is {[edits.rotate && `rotated ${edits.rotate}° clockwise`, edits.flipH && 'flipped horizontally', edits.flipV && 'flipped vertically'].filter(Boolean).join(', ')}. The preview shows the source orientation.
+            </p>
+          )}
+        </div>
+
+        <div className="flex justify-between mt-5">
+          <button onClick={() => setEdits({ ...defaultEdits })} className="text-sm text-slate-300 hover:text-white">Reset</button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded text-sm">Cancel</button>
+            <button onClick={() => { onSave(edits); onClose() }} className="bg-blue-600 hover:bg-blue-500 px-3 py-1.5 rounded text-sm">Save</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EditorModal
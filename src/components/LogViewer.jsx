@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from 'react'
+import { downloadBlob } from '../lib/export'
+
+// FFmpeg output for one queue item, with copy and download.
+function LogViewer({ name, lines }) {
+  const [copied, setCopied] = useState(false)
+  const preRef = useRef(null)
+  const text = lines.join('\n')
+
+  // follow the end of the log while the job is still writing to it
+  useEffect(() => {
+    const pre = preRef.current
+    if (pre && pre.scrollHeight - pre.scrollTop - pre.clientHeight < 40) pre.scrollTop = pre.scrollHeight
+  }, [lines])
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch {}
+  }
+
+  const download = () => {
+    downloadBlob(new Blob([text], { type: 'text/plain' }), `${name.replace(/\.[^.]+$/, '')}-ffmpeg.log`)
+  }
+
+  return (
+    <div className="mt-2 border border-slate-800 rounded">
+      <div className="flex items-center justify-between px-2 py-1 border-b border-slate-800 text-xs text-slate-400">
+        <span>{lines.length} lines</span>
+        <div className="flex gap-3">
+          <button onClick={copy} className="hover:text-white">{copied ? 'Copied' : 'Copy'}</button>
+          <button onClick={download} className="hover:text-white">Download</button>
+        </div>
+      </div>
+      <pre ref={preRef} className="max-h-64 overflow-auto p-2 text-xs text-slate-300 whitespace-pre-wrap break-all">{text || 'No output yet.'}</pre>
+    </div>
+  )
+}
+
+export default LogViewer
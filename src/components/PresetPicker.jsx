@@ -0,0 +1,135 @@
+import { useRef, useState } from 'react'
+import {
+  builtInPresets, loadSavedPresets, newPresetId, presetsFromJSON, presetsToJSON, settingsToQuery, storeSavedPresets, watermarksFromJSON,
+} from '../lib/presets'
+import { downloadBlob } from '../lib/export'
+import { exportWatermarks, importWatermarks } from '../lib/watermarks'
+
+const sameSettings = (a, b) => Object.keys(a).every(k => a[k] === b[k])
+
+const linkClass = 'text-xs text-slate-300 hover:text-white disabled:opacity-40 disabled:hover:text-slate-300'
+
+/**
+ * Built-in and user presets for the settings panel: apply, save, delete,
+ * export/import as JSON and copy a link that preconfigures the panel.
+ */
+function PresetPicker({ settings, onApply }) {
+  const [saved, setSaved] = useState(loadSavedPresets)
+  const [selectedId, setSelectedId] = useState('')
+  const [message, setMessage] = useState('')
+  const fileRef = useRef(null)
+
+  const all = [...builtInPresets, ...saved]
+  // editing the panel after picking a preset turns the selection back to Custom
+  const selected = all.find(p => p.id === selectedId && sameSettings(p.settings, settings))
+
+  const flash = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(m => (m === text ? '' : m)), 3000)
+  }
+
+  // Only shows the new list once it is stored; false if it could not be.
+  const update = (next) => {
+    try {
+      storeSavedPresets(next)
+    } catch (err) {
+      flash(err.message)
+      return false
+    }
+    setSaved(next)
+    return true
+  }
+
+  const apply = (id) => {
+    setSelectedId(id)
+    const preset = all.find(p => p.id === id)
+    if (preset) onApply(preset.settings)
+  }
+
+  const saveCurrent = () => {
+    const name = window.prompt('Preset name', selected && !selected.builtIn ? selected.name : '')?.trim()
+    if (!name) return
+    const existing = saved.find(p => p.name === name)
+    if (existing) {
+      if (!window.confirm(`Replace the preset "${name}"?`)) return
+      if (!update(saved.map(p => (p.id === existing.id ? { ...p, settings: { ...settings } } : p)))) return
+      setSelectedId(existing.id)
+    } else {
+      const preset = { id: newPresetId(), name, settings: { ...settings } }
+      if (!update([...saved, preset])) return
+      setSelectedId(preset.id)
+    }
+    flash(`Saved "${name}"`)
+  }
+
+  const remove = () => {
+    if (!selected || selected.builtIn) return
+    if (!window.confirm(`Delete the preset "${selected.name}"?`)) return
+    if (update(saved.filter(p => p.id !== selected.id))) setSelectedId('')
+  }
+
+  const exportAll = async () => {
+    const json = presetsToJSON(saved, await exportWatermarks(saved))
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'compressor-presets.json')
+  }
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const text = await file.text()
+      const imported = await importWatermarks(presetsFromJSON(text), watermarksFromJSON(text))
+      const names = new Set(saved.map(p => p.name))
+      // keep both when names clash rather than silently overwriting
+      const renamed = imported.map(p => {
+        let name = p.name
+        for (let i = 2; names.has(name); i++) name = `${p.name} (${i})`
+        names.add(name)
+        return { ...p, name }
+      })
+      if (!update([...saved, ...renamed])) return
+      flash(`Imported ${renamed.length} preset${renamed.length === 1 ? '' : 's'}`)
+    } catch (err) {
+      flash(`Import failed: ${err.message}`)
+    }
+  }
+
+  const copyLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}?${settingsToQuery(settings, selected?.name)}`
+    try {
+      await navigator.clipboard.writeText(url)
+      flash('Link copied')
+    } catch {
+      window.prompt('Copy this link', url)
+    }
+  }
+
+  return (
+    <div>
+      <label className="block text-sm text-slate-300 mb-1">Preset</label>
+      <select value={selected?.id ?? ''} onChange={e => apply(e.target.value)} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2">
+        <option value="">Custom</option>
+        <optgroup label="Built-in">
+          {builtInPresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </optgroup>
+        {saved.length > 0 && (
+          <optgroup label="Saved">
+            {saved.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2">
+        <button onClick={saveCurrent} className={linkClass}>Save as…</button>
+        <button onClick={remove} disabled={!selected || selected.builtIn} className={linkClass}>Delete</button>
+        <button onClick={exportAll} disabled={!saved.length} className={linkClass}>Export</button>
+        <button onClick={() => fileRef.current?.click()} className={linkClass}>Import</button>
+        <button onClick={copyLink} className={linkClass}>Copy link</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+      </div>
+      {message && <p className="text-xs text-slate-400 mt-1">{message}</p>}
+    </div>
+  )
+}
+
+export default PresetPicker
@@ -0,0 +1,243 @@
+import { useEffect, useState } from 'react'
+import { formats, getFormat, speedPresets } from '../lib/formats'
+import { describeAudioStream, formatBytes } from '../lib/media'
+import { MAX_WATERMARK_BYTES, overlayPositions, textSizes, textTokens } from '../lib/overlays'
+import { audioBitrates, audioChannelOptions, isTargetMode, keepsAudio, sizePresets } from '../lib/settings'
+import { imageFormats, posterModes } from '../lib/thumbnails'
+import { addWatermark, loadWatermark } from '../lib/watermarks'
+
+const selectClass = 'w-full bg-slate-950 border border-slate-800 rounded px-3 py-2'
+
+// Encoding controls shared by the settings panel and the per-row editor.
+// `audioStreams` (from probing a row's input) enables the audio track picker.
+function SettingsFields({ settings, onChange, encoders, audioStreams }) {
+  const format = getFormat(settings.formatId)
+  const formatSupported = (f) => !encoders || encoders.has(f.encoder)
+  const animates = settings.imageFormat === 'webp' ? 'animated WebP' : 'GIF'
+  const [watermarkError, setWatermarkError] = useState('')
+  const [watermarkUrl, setWatermarkUrl] = useState(null)
+
+  // The image is stored once; settings and presets only keep its id.
+  const pickWatermark = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    if (file.size > MAX_WATERMARK_BYTES) {
+      setWatermarkError(`${file.name} is ${formatBytes(file.size)}; watermarks can be up to ${formatBytes(MAX_WATERMARK_BYTES)}.`)
+      return
+    }
+    setWatermarkError('')
+    onChange({ watermarkId: await addWatermark(file), watermarkName: file.name })
+  }
+
+  // preview of the stored image; a missing-image error belongs to the previous id
+  useEffect(() => {
+    setWatermarkError('')
+    if (!settings.watermarkId) return
+    let url = null
+    let live = true
+    loadWatermark(settings.watermarkId).then(blob => {
+      if (!live) return
+      if (!blob) {
+        setWatermarkError('The watermark image is not stored in this browser. Add it again.')
+        return
+      }
+      url = URL.createObjectURL(blob)
+      setWatermarkUrl(url)
+    })
+    return () => {
+      live = false
+      if (url) URL.revokeObjectURL(url)
+      setWatermarkUrl(null)
+    }
+  }, [settings.watermarkId])
+  const targetMode = isTargetMode(settings)
+
+  return (
+    <>
+      <div>
+        <label className="block text-sm text-slate-300 mb-1">Output Format</label>
+        <select value={settings.formatId} onChange={e => onChange({ formatId: e.target.value })} className={selectClass}>
+          {formats.map(f => (
+            <option key={f.id} value={f.id} disabled={!formatSupported(f)}>{f.label}{formatSupported(f) ? '' : ' (not in this build)'}</option>
+          ))}
+        </select>
+      </div>
+      {format.kind !== 'audio' && (
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Max Size</label>
+          <select value={settings.sizePreset} onChange={e => onChange({ sizePreset: e.target.value })} className={selectClass}>
+            {sizePresets.map(p => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      {format.twoPass && (
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Mode</label>
+          <select value={settings.mode} onChange={e => onChange({ mode: e.target.value })} className={selectClass}>
+            <option value="crf">Constant quality (CRF)</option>
+            <option value="target">Target file size</option>
+          </select>
+        </div>
+      )}
+      {targetMode ? (
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Target Size (MB)</label>
+          <input type="number" min={1} step={0.5} value={settings.targetMB} onChange={e => onChange({ targetMB: Math.max(1, Number(e.target.value) || 1) })} className={selectClass} />
+          <p className="text-xs text-slate-400 mt-1">Two-pass encode sized to fit, {keepsAudio(settings) ? `with ${settings.audioKbps} kbps audio` : 'without audio'}. Takes about twice as long.</p>
+        </div>
+      ) : format.kind === 'video' && (
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Quality (CRF {settings.crf})</label>
+          <input type="range" min={18} max={32} value={settings.crf} onChange={e => onChange({ crf: Number(e.target.value) })} className="w-full" />
+          <p className="text-xs text-slate-400 mt-1">Lower = better quality/larger file. 23–25 is a good balance.</p>
+        </div>
+      )}
+      {format.kind === 'video' && (
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Speed Preset</label>
+          <select value={settings.preset} onChange={e => onChange({ preset: e.target.value })} className={selectClass}>
+            {speedPresets.map(p => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+          <p className="text-xs text-slate-400 mt-1">Faster = bigger file. Slower = smaller file, more CPU.</p>
+        </div>
+      )}
+      {format.audio && (
+        <div className="space-y-2">
+          <label className="block text-sm text-slate-300">Audio</label>
+          {format.kind !== 'audio' && (
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={settings.stripAudio} onChange={e => onChange({ stripAudio: e.target.checked })} />
+              Remove audio
+            </label>
+          )}
+          {keepsAudio(settings) && (
+            <>
+              <div className="grid grid-cols-2 gap-2">
+                <select value={settings.audioChannels} onChange={e => onChange({ audioChannels: e.target.value })} className={selectClass}>
+                  {audioChannelOptions.map(o => (
+                    <option key={o.id} value={o.id}>{o.label}</option>
+                  ))}
+                </select>
+                <select value={settings.audioKbps} onChange={e => onChange({ audioKbps: Number(e.target.value) })} className={selectClass}>
+                  {audioBitrates.map(k => (
+                    <option key={k} value={k}>{k} kbps</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input type="checkbox" checked={settings.loudnorm} onChange={e => onChange({ loudnorm: e.target.checked })} />
+                Normalize loudness (EBU R128)
+              </label>
+              {audioStreams?.length > 1 && (
+                <select value={settings.audioTrack ?? ''} onChange={e => onChange({ audioTrack: e.target.value === '' ? null : Number(e.target.value) })} className={selectClass}>
+                  <option value="">Default audio track</option>
+                  {audioStreams.map(a => (
+                    <option key={a.index} value={a.index}>{describeAudioStream(a)}</option>
+                  ))}
+                </select>
+              )}
+            </>
+          )}
+          <p className="text-xs text-slate-400">
+            Mono at 48–64 kbps is plenty for speech.
+            {!audioStreams && " Files with several audio tracks offer a track choice in their row's Settings."}
+          </p>
+        </div>
+      )}
+      {format.kind !== 'audio' && (
+        <div className="space-y-2">
+          <label className="block text-sm text-slate-300">Overlays</label>
+          {settings.watermarkId ? (
+            <div className="flex items-center gap-2 text-sm text-slate-300">
+              {watermarkUrl ? <img src={watermarkUrl} alt="" className="h-8 w-12 object-contain rounded bg-slate-800" /> : <span className="h-8 w-12 rounded bg-slate-800" />}
+              <span className="flex-1 min-w-0 truncate">{settings.watermarkName || 'Watermark'}</span>
+              <button onClick={() => { setWatermarkError(''); onChange({ watermarkId: null, watermarkName: '' }) }} className="text-xs text-slate-400 hover:text-white">Remove</button>
+            </div>
+          ) : (
+            <label className="inline-block">
+              <input type="file" accept="image/png,image/jpeg,image/webp" className="hidden" onChange={pickWatermark} />
+              <span className="cursor-pointer bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm">Add watermark image…</span>
+            </label>
+          )}
+          {watermarkError && <p className="text-xs text-red-400">{watermarkError}</p>}
+          {settings.watermarkId && (
+            <>
+              <select value={settings.watermarkPosition} onChange={e => onChange({ watermarkPosition: e.target.value })} className={selectClass}>
+                {overlayPositions.map(p => (
+                  <option key={p.id} value={p.id}>{p.label}</option>
+                ))}
+              </select>
+              <label className="block text-xs text-slate-400">Opacity {Math.round(settings.watermarkOpacity * 100)}%</label>
+              <input type="range" min={5} max={100} step={5} value={Math.round(settings.watermarkOpacity * 100)} onChange={e => onChange({ watermarkOpacity: Number(e.target.value) / 100 })} className="w-full" />
+              <label className="block text-xs text-slate-400">Width {settings.watermarkScale}% of the video</label>
+              <input type="range" min={2} max={50} value={settings.watermarkScale} onChange={e => onChange({ watermarkScale: Number(e.target.value) })} className="w-full" />
+            </>
+          )}
+          <input type="text" value={settings.overlayText} onChange={e => onChange({ overlayText: e.target.value })} placeholder="Text overlay, e.g. © Acme {date}" className={selectClass} />
+          {settings.overlayText.trim() && (
+            <div className="grid grid-cols-2 gap-2">
+              <select value={settings.textPosition} onChange={e => onChange({ textPosition: e.target.value })} className={selectClass}>
+                {overlayPositions.map(p => (
+                  <option key={p.id} value={p.id}>{p.label}</option>
+                ))}
+              </select>
+              <select value={settings.textSize} onChange={e => onChange({ textSize: Number(e.target.value) })} className={selectClass}>
+                {textSizes.map(n => (
+                  <option key={n} value={n}>{n}% of height</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={settings.burnSubtitles} onChange={e => onChange({ burnSubtitles: e.target.checked })} />
+            Burn in subtitles
+          </label>
+          <p className="text-xs text-slate-400">
+            {textTokens.map(t => <span key={t.token} title={t.help} className="mr-2 font-mono">{t.token}</span>)}
+            Subtitles come from an .srt or .vtt added with the same name as the video.
+          </p>
+        </div>
+      )}
+      {format.kind === 'video' && (
+        <div className="space-y-2">
+          <label className="block text-sm text-slate-300">Images</label>
+          <div className="grid grid-cols-2 gap-2">
+            <select value={settings.poster} onChange={e => onChange({ poster: e.target.value })} className={selectClass}>
+              {posterModes.map(m => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
+            </select>
+            <select value={settings.imageFormat} onChange={e => onChange({ imageFormat: e.target.value })} className={selectClass}>
+              {imageFormats.map(f => (
+                <option key={f.id} value={f.id} disabled={!formatSupported(f)}>{f.label}{formatSupported(f) ? '' : ' (not in this build)'}</option>
+              ))}
+            </select>
+          </div>
+          {settings.poster === 'time' && (
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              Poster at
+              <input type="number" min={0} step={0.1} value={settings.posterTime} onChange={e => onChange({ posterTime: Math.max(0, Number(e.target.value) || 0) })} className="w-24 bg-slate-950 border border-slate-800 rounded px-2 py-1" />
+              s
+            </label>
+          )}
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={settings.contactSheet} onChange={e => onChange({ contactSheet: e.target.checked })} />
+            Contact sheet (4×4 frames)
+          </label>
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={settings.animatedPreview} onChange={e => onChange({ animatedPreview: e.target.checked })} />
+            3 s animated preview ({animates})
+          </label>
+          <p className="text-xs text-slate-400">Cut from the compressed video, so timestamps count from the trimmed start. Offered as extra downloads on the row.</p>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default SettingsFields
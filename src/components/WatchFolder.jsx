@@ -0,0 +1,100 @@
+import useWatchFolder from '../hooks/useWatchFolder'
+
+const inputClass = 'w-full bg-slate-950 border border-slate-800 rounded px-3 py-2'
+const buttonClass = 'bg-slate-800 hover:bg-slate-700 border border-slate-700 px-3 py-1.5 rounded text-sm'
+
+/**
+ * Watch-folder controls: pick a folder to poll for new videos, an optional
+ * folder for their outputs, name patterns and pause/resume.
+ */
+function WatchFolder({ engine, settings, nameTemplate }) {
+  const watch = useWatchFolder(engine, { settings, nameTemplate })
+
+  if (!watch.supported) {
+    return (
+      <p className="text-sm text-slate-400">
+        Watch folders need the File System Access API, which this browser does not have. Use a desktop
+        version of Chrome or Edge, or add files here by dropping them or with Browse Files.
+      </p>
+    )
+  }
+
+  // after a reload the browser asks again before writing to the output folder
+  const allow = watch.unsaved > 0 && (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-amber-300">
+      <span>{watch.unsaved} finished file{watch.unsaved === 1 ? '' : 's'} waiting for {watch.outputDir.name}.</span>
+      <button onClick={watch.allowOutput} className={buttonClass}>Allow saving</button>
+    </div>
+  )
+
+  if (!watch.inputDir) {
+    return (
+      <div className="space-y-2">
+        <button onClick={watch.pickInput} className={buttonClass}>Watch a folder…</button>
+        <p className="text-xs text-slate-400">New videos in the folder are queued automatically with the current settings, as long as this tab is open.</p>
+        {allow}
+        {watch.error && <p className="text-xs text-red-400">{watch.error}</p>}
+      </div>
+    )
+  }
+
+  const { stats } = watch
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`text-xs px-2 py-0.5 rounded border ${watch.watching ? 'bg-emerald-900/60 border-emerald-800 text-emerald-300' : 'bg-slate-800 border-slate-700 text-slate-300'}`}>
+          {watch.watching ? 'watching' : 'paused'}
+        </span>
+        <span className="font-medium truncate">{watch.inputDir.name}</span>
+        <span className="flex-1" />
+        {watch.watching
+          ? <button onClick={watch.pause} className={buttonClass}>Pause</button>
+          : <button onClick={watch.resume} className={buttonClass}>Resume</button>}
+        <button onClick={watch.stop} className={buttonClass}>Stop</button>
+      </div>
+      <p className="text-xs text-slate-400">
+        Queued {stats.queued} file{stats.queued === 1 ? '' : 's'}
+        {watch.outputDir && `, saved ${stats.written} to ${watch.outputDir.name}`}
+        {stats.lastScan && ` • last checked ${stats.lastScan.toLocaleTimeString()}`}
+        . Files appear once they have stopped changing.
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-slate-300">Output folder:</span>
+        {watch.outputDir ? (
+          <>
+            <span className="truncate">{watch.outputDir.name}</span>
+            <button onClick={watch.clearOutput} className="text-xs text-slate-400 hover:text-white">Keep in queue instead</button>
+          </>
+        ) : (
+          <button onClick={watch.pickOutput} className={buttonClass}>Choose…</button>
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Include</label>
+          <input type="text" value={watch.include} onChange={e => watch.setInclude(e.target.value)} placeholder="all videos" className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-400 mb-1">Exclude</label>
+          <input type="text" value={watch.exclude} onChange={e => watch.setExclude(e.target.value)} placeholder="none" className={inputClass} />
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-slate-300">
+        <span>Check every</span>
+        <input type="number" min={2} value={watch.intervalSec} onChange={e => watch.setIntervalSec(Math.max(2, Number(e.target.value) || 2))} className="w-20 bg-slate-950 border border-slate-800 rounded px-2 py-1" />
+        <span>s</span>
+        <span className="flex-1" />
+        <button
+          onClick={() => window.confirm(`Forget which files in "${watch.inputDir.name}" were already queued? Every matching file will be compressed again.`) && watch.forget()}
+          className="text-xs text-slate-400 hover:text-white">Forget processed files</button>
+      </div>
+      <p className="text-xs text-slate-400">
+        Patterns are separated by commas, e.g. <span className="font-mono">*.mov, clip-*</span>. Only the top level of the folder is watched.
+      </p>
+      {allow}
+      {watch.error && <p className="text-xs text-red-400">{watch.error}</p>}
+    </div>
+  )
+}
+
+export default WatchFolder
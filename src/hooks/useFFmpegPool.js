@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { FFmpeg } from '@ffmpeg/ffmpeg'
+import stCoreURL from '@ffmpeg/core?url'
+import stWasmURL from '@ffmpeg/core/wasm?url'
+import mtCoreURL from '@ffmpeg/core-mt?url'
+import mtWasmURL from '@ffmpeg/core-mt/wasm?url'
+import mtWorkerURL from '@ffmpeg/core-mt/worker?url'
+import { listEncoders } from '../lib/media'
+import { maxPoolSize } from '../lib/memory'
+import { cacheForOffline } from '../lib/offline'
+
+// The threaded core needs SharedArrayBuffer, which browsers only expose on
+// cross-origin isolated pages (see the COOP/COEP headers in vite.config.js
+// and vercel.json).
+export const threadsSupported = () => typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated === true
+
+const coreFor = (multiThread) => multiThread
+  ? { coreURL: mtCoreURL, wasmURL: mtWasmURL, workerURL: mtWorkerURL }
+  : { coreURL: stCoreURL, wasmURL: stWasmURL }
+
+export const defaultPoolSize = () => Math.max(1, Math.min(2, maxPoolSize(threadsSupported()), Math.floor((navigator.hardwareConcurrency || 2) / 4)))
+
+/**
+ * Keeps `size` loaded FFmpeg instances. Each slot is `{ index, ffmpeg, ready }`;
+ * the caller decides which job runs on which slot. Resize only while no
+ * instance is busy (encoding or probing), since shrinking terminates the
+ * dropped instances.
+ */
+export default function useFFmpegPool(size) {
+  const multiThread = threadsSupported()
+  const [slots, setSlots] = useState([])
+  const [loadingMsg, setLoadingMsg] = useState('')
+  const [encoders, setEncoders] = useState(null)
+  const [booted, setBooted] = useState(false) // at least one instance has loaded
+  const slotsRef = useRef([])
+
+  const setSlot = (index, slot) => {
+    const next = [...slotsRef.current]
+    next[index] = slot
+    slotsRef.current = next
+    setSlots(next)
+  }
+
+  const loadSlot = useCallback(async (index) => {
+    setSlot(index, { index, ffmpeg: null, ready: false })
+    try {
+      setLoadingMsg(msg => msg || 'Loading FFmpeg core…')
+      const core = coreFor(multiThread)
+      // The core is bundled as a same-origin asset, so the service worker can
+      // cache it and no CDN is involved.
+      const instance = new FFmpeg()
+      await instance.load(core)
+      if (index === 0) {
+        setEncoders(await listEncoders(instance))
+        cacheForOffline(Object.values(core))
+      }
+      // the pool may have shrunk while this slot was loading
+      if (index >= slotsRef.current.length || slotsRef.current[index]?.ffmpeg) {
+        instance.terminate()
+        return
+      }
+      setSlot(index, { index, ffmpeg: instance, ready: true })
+      setBooted(true)
+      setLoadingMsg('')
+    } catch (e) {
+      setLoadingMsg(`Failed to load FFmpeg: ${e.message}`)
+    }
+  }, [multiThread])
+
+  useEffect(() => {
+    const current = slotsRef.current
+    if (current.length > size) {
+      current.slice(size).forEach(slot => slot?.ffmpeg?.terminate())
+      slotsRef.current = current.slice(0, size)
+      setSlots(slotsRef.current)
+    }
+    for (let i = current.length; i < size; i++) loadSlot(i)
+  }, [size, loadSlot])
+
+  // Terminating the worker is the only way to stop a running exec. It also
+  // throws away its MEMFS, so a fresh instance is loaded from the cached core.
+  const reload = useCallback(async (index) => {
+    setLoadingMsg('Restarting FFmpeg…')
+    slotsRef.current[index]?.ffmpeg?.terminate()
+    await loadSlot(index)
+  }, [loadSlot])
+
+  return { slots, booted, multiThread, loadingMsg, encoders, reload }
+}
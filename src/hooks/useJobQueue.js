@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react'
+import { loadFont } from '../lib/font'
+import { createJobQueue } from '../lib/jobQueue'
+import { loadWatermark } from '../lib/watermarks'
+
+/**
+ * Creates one job-queue engine for the component's lifetime and mirrors its
+ * items and running flag into React state. All changes go through `engine`.
+ */
+export default function useJobQueue({ slots, reloadWorker, multiThread, timeoutMin, offload }) {
+  const [engine] = useState(() => createJobQueue({ loadFont, loadWatermark }))
+  const [queue, setQueue] = useState(() => engine.getItems())
+  const [running, setRunning] = useState(() => engine.isRunning())
+  const [busy, setBusy] = useState(() => engine.isBusy())
+
+  useEffect(() => {
+    const offChange = engine.on('change', setQueue)
+    const offRunning = engine.on('running', setRunning)
+    const offBusy = engine.on('busy', setBusy)
+    return () => {
+      offChange()
+      offRunning()
+      offBusy()
+    }
+  }, [engine])
+
+  // read when a job starts or a worker is replaced, so no re-subscription is needed
+  useEffect(() => {
+    engine.setOptions({ reloadWorker, multiThread, timeoutMin, offload })
+  }, [engine, reloadWorker, multiThread, timeoutMin, offload])
+
+  useEffect(() => {
+    engine.setWorkers(slots)
+  }, [engine, slots])
+
+  return { queue, running, busy, engine }
+}
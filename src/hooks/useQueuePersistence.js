@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react'
+import { normalizeSettings } from '../lib/presets'
+import { deleteItem, estimateUsage, loadAll, requestPersistence, saveExtra, saveInput, saveItem, saveOutput, saveSubtitles, storageAvailable } from '../lib/storage'
+
+// Progress and the log change many times a second and are left out, so an
+// encode in flight does not rewrite its record.
+const toMeta = (item, position) => ({
+  id: item.id,
+  name: item.name,
+  inputSize: item.inputSize ?? null,
+  lastModified: item.lastModified ?? null,
+  inputInfo: item.inputInfo ?? null,
+  settings: item.settings,
+  edits: item.edits ?? null,
+  status: item.status,
+  error: item.error,
+  outputSize: item.outputSize ?? null,
+  outputExt: item.outputExt ?? null,
+  outputInfo: item.outputInfo ?? null,
+  targetSize: item.targetSize ?? null,
+  keptOriginal: !!item.keptOriginal,
+  offloaded: !!item.offloaded,
+  offloadNote: item.offloadNote ?? null,
+  fromWatchFolder: !!item.fromWatchFolder,
+  hasSubtitles: !!item.subtitleFile,
+  extras: (item.extras ?? []).map(({ kind, label, ext, size }) => ({ kind, label, ext, size })),
+  extrasNote: item.extrasNote ?? null,
+  position,
+})
+
+// Turns a stored record back into a queue item. Jobs that were mid-encode
+// when the tab closed start over.
+const rehydrate = ({ file, outputBlob, extras, hasSubtitles, position, ...meta }) => {
+  const item = {
+    ...meta,
+    // items saved by an older version lack newer settings
+    settings: normalizeSettings(meta.settings),
+    file,
+    inputUrl: file ? URL.createObjectURL(file) : null,
+    progress: meta.status === 'done' ? 100 : 0,
+    outputBlob,
+    outputUrl: outputBlob ? URL.createObjectURL(outputBlob) : null,
+    extras: extras.filter(e => e.blob).map(e => ({ ...e, url: URL.createObjectURL(e.blob) })),
+  }
+  if (item.status === 'processing') item.status = 'queued'
+  if (item.status === 'queued' && !file) {
+    return { ...item, status: 'error', error: 'The input file was not saved before the page closed' }
+  }
+  if (item.status === 'done' && !outputBlob) {
+    return { ...item, status: 'error', error: 'The output was not saved before the page closed' }
+  }
+  return item
+}
+
+/**
+ * Mirrors the queue into IndexedDB and restores it on load. Only changed
+ * metadata is rewritten; input, output, subtitle and extra blobs are written
+ * once each.
+ */
+export default function useQueuePersistence(queue, restore) {
+  const [usage, setUsage] = useState(null)
+  const [hydrated, setHydrated] = useState(!storageAvailable())
+  const savedRef = useRef(new Map()) // id -> {item, position, meta: json, input: bool, output: bool, subtitles: File, extras: bool}
+  const loadStartedRef = useRef(false)
+  const persistAskedRef = useRef(false)
+
+  const refreshUsage = () => estimateUsage().then(setUsage).catch(() => {})
+
+  useEffect(() => {
+    if (!storageAvailable() || loadStartedRef.current) return
+    loadStartedRef.current = true
+    loadAll()
+      .then(records => {
+        const items = records.map(rehydrate)
+        for (const r of records) {
+          savedRef.current.set(r.id, { meta: null, input: !!r.file, output: !!r.outputBlob, subtitles: r.subtitleFile, extras: r.extras.length > 0 })
+        }
+        restore(items)
+      })
+      .catch(err => console.warn('Could not restore the saved queue', err))
+      .finally(() => {
+        setHydrated(true)
+        refreshUsage()
+      })
+  }, [])
+
+  useEffect(() => {
+    if (!hydrated || !storageAvailable()) return
+    const saved = savedRef.current
+    const writes = []
+    queue.forEach((item, position) => {
+      const entry = saved.get(item.id) ?? { meta: null, input: false, output: false, subtitles: null, extras: false }
+      // the engine replaces only the items it changes
+      if (entry.item === item && entry.position === position) return
+      entry.item = item
+      entry.position = position
+      const meta = toMeta(item, position)
+      const json = JSON.stringify(meta)
+      if (entry.meta !== json) {
+        entry.meta = json
+        writes.push(saveItem(meta))
+      }
+      if (!entry.input && item.file) {
+        entry.input = true
+        writes.push(saveInput(item.id, item.file))
+      }
+      // subtitles can be detached or swapped until the item starts
+      if (item.subtitleFile && entry.subtitles !== item.subtitleFile) {
+        entry.subtitles = item.subtitleFile
+        writes.push(saveSubtitles(item.id, item.subtitleFile))
+      }
+      if (!entry.output && item.outputBlob) {
+        entry.output = true
+        writes.push(saveOutput(item.id, item.outputBlob))
+      }
+      if (!entry.extras && item.extras?.length) {
+        entry.extras = true
+        item.extras.forEach(extra => writes.push(saveExtra(item.id, extra.kind, extra.blob)))
+      }
+      saved.set(item.id, entry)
+    })
+    const ids = new Set(queue.map(it => it.id))
+    for (const id of [...saved.keys()]) {
+      if (!ids.has(id)) {
+        saved.delete(id)
+        writes.push(deleteItem(id))
+      }
+    }
+    if (!writes.length) return
+    if (!persistAskedRef.current) {
+      persistAskedRef.current = true
+      requestPersistence()
+    }
+    Promise.all(writes)
+      .catch(err => console.warn('Could not save the queue', err))
+      .finally(refreshUsage)
+  }, [queue, hydrated])
+
+  return { usage, hydrated }
+}
@@ -0,0 +1,186 @@
+import { useEffect, useRef, useState } from 'react'
+import { canPickFolder, writeToFolder } from '../lib/export'
+import { createItem, fileKey, findDuplicates } from '../lib/jobQueue'
+import { deleteFolder, loadFolder, saveFolder, storageAvailable } from '../lib/storage'
+import { OUTPUT_KEY, createFolderScanner, folderKey, forgetSeen, loadSeen, parsePatterns, siblingSubtitles, storeSeen } from '../lib/watchFolder'
+
+const pickFolder = async (options) => {
+  try {
+    return await window.showDirectoryPicker(options)
+  } catch (err) {
+    if (err?.name === 'AbortError') return null
+    throw err
+  }
+}
+
+/**
+ * Polls a folder the user picked for new videos and queues them with the
+ * panel's current settings, each with the .srt/.vtt of the same name if the
+ * folder has one. Outputs of those files are written to an optional output
+ * folder when they finish, also after a reload: the items keep a
+ * `fromWatchFolder` flag and the output folder is stored. `supported` is false
+ * where the File System Access API is missing.
+ */
+export default function useWatchFolder(engine, { settings, nameTemplate }) {
+  const [inputDir, setInputDir] = useState(null)
+  const [outputDir, setOutputDir] = useState(null)
+  const [watching, setWatching] = useState(false)
+  const [include, setInclude] = useState('')
+  // default name template output, in case the output folder is the input folder
+  const [exclude, setExclude] = useState('*-compressed.*')
+  const [intervalSec, setIntervalSec] = useState(10)
+  const [stats, setStats] = useState({ queued: 0, written: 0, lastScan: null })
+  const [error, setError] = useState('')
+  // finished while the restored output folder still needs the user's permission
+  const [unsaved, setUnsaved] = useState([])
+  const scannerRef = useRef(null)
+  const inputKey = useRef(null) // the input folder's key in storage, for its history
+  // read by the poller and the status listener without restarting them
+  const latest = useRef({})
+  latest.current = { settings, nameTemplate, inputDir, outputDir }
+
+  const remember = (files) => {
+    const { inputDir } = latest.current
+    const scanner = scannerRef.current
+    if (!scanner || !inputDir) return
+    files.forEach(file => scanner.seen.add(fileKey(file)))
+    storeSeen(inputKey.current, scanner.seen)
+  }
+
+  const save = (dir, item) => writeToFolder(dir, [item], latest.current.nameTemplate)
+    .then(async names => {
+      // outputs written into the watched folder itself must not come back as input
+      const written = await Promise.all(names.map(async name => (await dir.getFileHandle(name)).getFile()))
+      remember(written)
+      setStats(s => ({ ...s, written: s.written + 1 }))
+    })
+    .catch(err => setError(`Could not save ${item.name} to ${dir.name}: ${err?.message || String(err)}`))
+
+  useEffect(() => {
+    if (!storageAvailable()) return
+    loadFolder(OUTPUT_KEY)
+      .then(dir => { if (dir) setOutputDir(current => current ?? dir) })
+      .catch(err => console.warn('Could not restore the output folder', err))
+  }, [])
+
+  useEffect(() => {
+    if (!watching || !inputDir) return
+    let live = true
+    let busy = false
+    const patterns = { include: parsePatterns(include), exclude: parsePatterns(exclude) }
+    const poll = async () => {
+      if (busy) return
+      busy = true
+      try {
+        const files = await scannerRef.current.scan(inputDir, patterns)
+        if (!live) return
+        if (files.length) {
+          const { fresh } = findDuplicates(files, engine.getItems())
+          const subtitles = await Promise.all(fresh.map(file => siblingSubtitles(inputDir, file.name)))
+          if (!live) return
+          const items = fresh.map((file, i) => createItem(file, latest.current.settings, { subtitleFile: subtitles[i], fromWatchFolder: true }))
+          engine.add(items)
+          remember(files)
+          setStats(s => ({ ...s, queued: s.queued + items.length }))
+        }
+        setStats(s => ({ ...s, lastScan: new Date() }))
+      } catch (err) {
+        if (!live) return
+        // e.g. the folder was deleted or its permission revoked
+        setError(`Stopped watching: ${err?.message || String(err)}`)
+        setWatching(false)
+      } finally {
+        busy = false
+      }
+    }
+    poll()
+    const timer = setInterval(poll, intervalSec * 1000)
+    return () => {
+      live = false
+      clearInterval(timer)
+    }
+  }, [engine, watching, inputDir, include, exclude, intervalSec])
+
+  useEffect(() => engine.on('status', async ({ item, to }) => {
+    if (to !== 'done' || !item.fromWatchFolder) return
+    const { outputDir } = latest.current
+    if (!outputDir) return
+    // a folder restored after a reload can only be granted again from a click
+    const permission = await outputDir.queryPermission?.({ mode: 'readwrite' }) ?? 'granted'
+    if (permission === 'granted') save(outputDir, item)
+    else setUnsaved(list => [...list, item])
+  }), [engine])
+
+  const pickInput = async () => {
+    try {
+      const dir = await pickFolder({ id: 'watch-input', mode: 'read' })
+      if (!dir) return
+      inputKey.current = await folderKey(dir)
+      scannerRef.current = createFolderScanner(loadSeen(inputKey.current))
+      setInputDir(dir)
+      setStats({ queued: 0, written: 0, lastScan: null })
+      setError('')
+      setWatching(true)
+      engine.start()
+    } catch (err) {
+      setError(err?.message || String(err))
+    }
+  }
+
+  const pickOutput = async () => {
+    try {
+      const dir = await pickFolder({ id: 'watch-output', mode: 'readwrite' })
+      if (!dir) return
+      setOutputDir(dir)
+      if (storageAvailable()) saveFolder(OUTPUT_KEY, dir).catch(err => console.warn('Could not store the output folder', err))
+      // the picker granted access, so what waited for the old folder goes here
+      setUnsaved([])
+      for (const item of unsaved) await save(dir, item)
+    } catch (err) {
+      setError(err?.message || String(err))
+    }
+  }
+
+  const clearOutput = () => {
+    setOutputDir(null)
+    setUnsaved([])
+    if (storageAvailable()) deleteFolder(OUTPUT_KEY).catch(() => {})
+  }
+
+  // Asks again for the restored output folder and writes what waited for it.
+  const allowOutput = async () => {
+    try {
+      if (await outputDir.requestPermission({ mode: 'readwrite' }) !== 'granted') return
+      setUnsaved([])
+      // one at a time, so clashing names get distinct suffixes
+      for (const item of unsaved) await save(outputDir, item)
+    } catch (err) {
+      setError(err?.message || String(err))
+    }
+  }
+
+  const stop = () => {
+    setWatching(false)
+    setInputDir(null)
+  }
+
+  // The next scan queues every matching file in the folder again.
+  const forget = () => {
+    if (!inputDir) return
+    forgetSeen(inputKey.current)
+    scannerRef.current = createFolderScanner()
+  }
+
+  return {
+    supported: canPickFolder(),
+    inputDir, outputDir, watching, include, exclude, intervalSec, stats, error, unsaved: unsaved.length,
+    setInclude, setExclude, setIntervalSec,
+    pickInput, pickOutput, clearOutput, allowOutput,
+    pause: () => setWatching(false),
+    resume: () => {
+      setError('')
+      setWatching(true)
+    },
+    stop, forget,
+  }
+}
@@ -0,0 +1,86 @@
+// Per-job FFmpeg log capture and translation of common failures into
+// messages a user can act on.
+
+const HEAD_LINES = 200
+const TAIL_LINES = 2000
+
+/**
+ * Collects log lines for one job. The start (stream info) and the most recent
+ * lines are kept; the repetitive middle of a long encode is dropped.
+ */
+export const createLogBuffer = () => {
+  const head = []
+  let tail = []
+  let dropped = 0
+  return {
+    push(line) {
+      if (head.length < HEAD_LINES) return head.push(line)
+      tail.push(line)
+      if (tail.length > TAIL_LINES * 1.5) {
+        dropped += tail.length - TAIL_LINES
+        tail = tail.slice(-TAIL_LINES)
+      }
+    },
+    lines() {
+      const rest = tail.length > TAIL_LINES ? tail.slice(-TAIL_LINES) : tail
+      const skipped = dropped + tail.length - rest.length
+      return skipped ? [...head, `… ${skipped} lines omitted …`, ...rest] : [...head, ...rest]
+    },
+  }
+}
+
+const rules = [
+  [/Unknown encoder '([^']+)'/, m => `This FFmpeg build has no ${m[1]} encoder. Pick a different output format.`],
+  [/Decoder \(codec (\w+)\) not found|decoder for codec (\w+) not found/i, m => `The input uses ${m[1] || m[2]}, which this FFmpeg build cannot decode.`],
+  [/Could not find codec parameters|unsupported codec|Unsupported codec/i, () => 'The input uses a codec this FFmpeg build cannot decode.'],
+  [/Output file (#0 )?does not contain any stream|matches no streams|Stream specifier .* matches no streams/i, () => 'The input has no stream this output can use (for example, no video stream).'],
+  [/Cannot allocate memory|out of memory|Aborted\(OOM\)|memory access out of bounds|Array buffer allocation failed/i, () => 'FFmpeg ran out of memory. Try a smaller max size, a shorter trim or fewer parallel jobs.'],
+  [/moov atom not found|Invalid data found when processing input/i, () => 'The file is damaged, incomplete or not a supported video.'],
+  [/Error (initializing|reinitializing|configuring) (complex )?filters?|Error while filtering|Invalid argument.*filter|No such filter/i, () => 'A video filter could not be set up. Check the crop, trim and overlay settings.'],
+]
+
+/** A readable reason for a failed job, from its log and the error or exit code. */
+export const explainFailure = (lines, errOrCode) => {
+  const errText = typeof errOrCode === 'number' ? '' : (errOrCode?.message || String(errOrCode ?? ''))
+  const haystack = [...lines, errText]
+  for (const [pattern, message] of rules) {
+    for (const line of haystack) {
+      const m = line.match(pattern)
+      if (m) return message(m)
+    }
+  }
+  if (typeof errOrCode === 'number') {
+    const last = [...lines].reverse().find(l => /error|invalid|failed/i.test(l))
+    return last ? `FFmpeg exited with code ${errOrCode}: ${last.trim()}` : `FFmpeg exited with code ${errOrCode}`
+  }
+  return errText
+}
+
+/**
+ * An error the engine raises on purpose, e.g. a file without a video stream.
+ * Its message is shown as is, never replaced by a match in the job's log.
+ */
+export class JobError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'JobError'
+  }
+}
+
+/** A reason for a failed job: the log is only read for failed FFmpeg runs. */
+export const failureMessage = (err) =>
+  err instanceof ExecError || err instanceof JobError ? err.message : explainFailure([], err)
+
+export class ExecError extends Error {
+  constructor(code, lines) {
+    super(explainFailure(lines, code))
+    this.name = 'ExecError'
+    this.code = code
+  }
+}
+
+/** Runs `ffmpeg.exec` and throws an ExecError for a non-zero exit code. */
+export const execChecked = async (ffmpeg, args, log) => {
+  const code = await ffmpeg.exec(args)
+  if (code !== 0) throw new ExecError(code, log.lines())
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { createLogBuffer, ExecError, execChecked, explainFailure, failureMessage, JobError } from './diagnostics'
+
+describe('createLogBuffer', () => {
+  const fill = (count) => {
+    const log = createLogBuffer()
+    for (let i = 0; i < count; i++) log.push(`line ${i}`)
+    return log.lines()
+  }
+
+  it('keeps short logs whole', () => {
+    expect(fill(3)).toEqual(['line 0', 'line 1', 'line 2'])
+    expect(fill(2200)).toHaveLength(2200)
+  })
+
+  it('keeps the first 200 and the last 2000 lines of a long log', () => {
+    const lines = fill(2201)
+    expect(lines).toHaveLength(2201)
+    expect(lines[199]).toBe('line 199')
+    expect(lines[200]).toBe('… 1 lines omitted …')
+    expect(lines[201]).toBe('line 201')
+    expect(lines.at(-1)).toBe('line 2200')
+  })
+
+  it('counts every dropped line across trims', () => {
+    const lines = fill(10000)
+    expect(lines).toHaveLength(2201)
+    expect(lines.slice(0, 200)).toEqual(Array.from({ length: 200 }, (_, i) => `line ${i}`))
+    expect(lines[200]).toBe('… 7800 lines omitted …')
+    expect(lines[201]).toBe('line 8000')
+    expect(lines.at(-1)).toBe('line 9999')
+  })
+})
+
+describe('explainFailure', () => {
+  it.each([
+    ["[vost#0:0 @ 0x1] Unknown encoder 'libsvtav1'", 'This FFmpeg build has no libsvtav1 encoder. Pick a different output format.'],
+    ['[vist#0:0 @ 0x1] Decoder (codec prores) not found for input stream #0:0', 'The input uses prores, which this FFmpeg build cannot decode.'],
+    ['Could not find codec parameters for stream 0 (Video: none)', 'The input uses a codec this FFmpeg build cannot decode.'],
+    ['Output file #0 does not contain any stream', 'The input has no stream this output can use (for example, no video stream).'],
+    ["Stream specifier 'a:3' in filtergraph description matches no streams.", 'The input has no stream this output can use (for example, no video stream).'],
+    ['Aborted(OOM)', 'FFmpeg ran out of memory. Try a smaller max size, a shorter trim or fewer parallel jobs.'],
+    ['[mov,mp4 @ 0x1] moov atom not found', 'The file is damaged, incomplete or not a supported video.'],
+    ['input.mp4: Invalid data found when processing input', 'The file is damaged, incomplete or not a supported video.'],
+    ["[AVFilterGraph @ 0x1] No such filter: 'subtitles'", 'A video filter could not be set up. Check the crop, trim and overlay settings.'],
+  ])('explains %j', (line, expected) => {
+    expect(explainFailure(['frame=  10 fps=0.0', line], 1)).toBe(expected)
+  })
+
+  it('prefers the rule listed first', () => {
+    expect(explainFailure(['Invalid data found when processing input', 'Cannot allocate memory'], 1)).toMatch(/ran out of memory/)
+  })
+
+  it('falls back to the last error line and the exit code', () => {
+    expect(explainFailure(['frame=1', 'Conversion failed!', 'frame=2'], 1)).toBe('FFmpeg exited with code 1: Conversion failed!')
+    expect(explainFailure(['frame=1'], 137)).toBe('FFmpeg exited with code 137')
+  })
+
+  it('explains thrown errors by their message', () => {
+    expect(explainFailure([], new Error('RangeError: Array buffer allocation failed'))).toMatch(/ran out of memory/)
+    expect(explainFailure([], new Error('called FFmpeg.terminate()'))).toBe('called FFmpeg.terminate()')
+  })
+})
+
+describe('failureMessage', () => {
+  it('keeps the message of errors the engine raised on purpose', () => {
+    expect(failureMessage(new JobError('This file has no video stream.'))).toBe('This file has no video stream.')
+  })
+
+  it('reads the log only for failed FFmpeg runs', async () => {
+    const log = createLogBuffer()
+    log.push('Invalid data found when processing input')
+    const ffmpeg = { exec: async () => 1 }
+    const err = await execChecked(ffmpeg, ['-i', 'x'], log).catch(e => e)
+    expect(err).toBeInstanceOf(ExecError)
+    expect(err.code).toBe(1)
+    expect(failureMessage(err)).toMatch(/damaged/)
+    expect(failureMessage(new Error('ENOENT'))).toBe('ENOENT')
+  })
+})
@@ -0,0 +1,90 @@
+// Per-item edits applied before compression. `crop` is a rectangle in
+// fractions of the source frame so it does not depend on the input size.
+export const defaultEdits = {
+  start: 0, // seconds
+  end: null, // seconds, null = until the end
+  crop: null, // {x, y, w, h} in 0..1
+  rotate: 0, // clockwise degrees: 0 | 90 | 180 | 270
+  flipH: false,
+  flipV: false,
+  speed: 1,
+}
+
+export const speedOptions = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 4]
+
+export const hasEdits = (edits) => !!edits && (
+  edits.start > 0 || edits.end != null || !!edits.crop || edits.rotate !== 0 ||
+  edits.flipH || edits.flipV || edits.speed !== 1
+)
+
+const fixed = (n) => Number(n.toFixed(4))
+
+// atempo only accepts 0.5..2, so larger changes are chained.
+const atempoChain = (speed) => {
+  const parts = []
+  let rest = speed
+  while (rest > 2) { parts.push('atempo=2'); rest /= 2 }
+  while (rest < 0.5) { parts.push('atempo=0.5'); rest /= 0.5 }
+  if (rest !== 1) parts.push(`atempo=${fixed(rest)}`)
+  return parts
+}
+
+/**
+ * FFmpeg pieces for `edits`: input options (trim), video filters (crop, then
+ * rotate/flip, then speed) and audio filters (speed). Scaling is added by the
+ * caller after these so the max width applies to the final orientation.
+ */
+export const editArgs = (edits) => {
+  const e = { ...defaultEdits, ...edits }
+  const inputArgs = []
+  if (e.start > 0) inputArgs.push('-ss', String(fixed(e.start)))
+  if (e.end != null) inputArgs.push('-to', String(fixed(e.end)))
+
+  const videoFilters = []
+  if (e.crop) {
+    const { x, y, w, h } = e.crop
+    // even dimensions keep yuv420p encoders happy
+    videoFilters.push(`crop=trunc(iw*${fixed(w)}/2)*2:trunc(ih*${fixed(h)}/2)*2:trunc(iw*${fixed(x)}):trunc(ih*${fixed(y)})`)
+  }
+  if (e.rotate === 90) videoFilters.push('transpose=1')
+  if (e.rotate === 180) videoFilters.push('transpose=1', 'transpose=1')
+  if (e.rotate === 270) videoFilters.push('transpose=2')
+  if (e.flipH) videoFilters.push('hflip')
+  if (e.flipV) videoFilters.push('vflip')
+  if (e.speed !== 1) videoFilters.push(`setpts=PTS/${fixed(e.speed)}`)
+
+  const audioFilters = e.speed !== 1 ? atempoChain(e.speed) : []
+  return { inputArgs, videoFilters, audioFilters }
+}
+
+// Length of the encoded result, for bitrate targeting.
+export const editedDuration = (edits, duration) => {
+  if (duration == null) return null
+  const e = { ...defaultEdits, ...edits }
+  const end = e.end != null ? Math.min(e.end, duration) : duration
+  return Math.max(0, end - e.start) / e.speed
+}
+
+// Where a moment of the original is in the edited output, and back. Only
+// the trim start and the speed move it.
+export const outputTime = (edits, inputTime) => (inputTime - (edits?.start ?? 0)) / (edits?.speed ?? 1)
+export const inputTime = (edits, outputTime) => outputTime * (edits?.speed ?? 1) + (edits?.start ?? 0)
+
+export const formatTime = (sec) => {
+  const s = Math.max(0, sec || 0)
+  const m = Math.floor(s / 60)
+  return `${m}:${(s % 60).toFixed(1).padStart(4, '0')}`
+}
+
+// "trim 0:05.0–0:20.0 · crop · rotate 90° · 2×"
+export const describeEdits = (edits) => {
+  if (!hasEdits(edits)) return ''
+  const parts = []
+  if (edits.start > 0 || edits.end != null) parts.push(`trim ${formatTime(edits.start)}–${edits.end != null ? formatTime(edits.end) : 'end'}`)
+  if (edits.crop) parts.push('crop')
+  if (edits.rotate) parts.push(`rotate ${edits.rotate}°`)
+  if (edits.flipH) parts.push('flip H')
+  if (edits.flipV) parts.push('flip V')
+  if (edits.speed !== 1) parts.push(`${edits.speed}×`)
+  return parts.join(' · ')
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { defaultEdits, describeEdits, editArgs, editedDuration, hasEdits, inputTime, outputTime } from './edits'
+
+const edits = (changes) => ({ ...defaultEdits, ...changes })
+
+describe('editArgs', () => {
+  it('adds nothing without edits', () => {
+    expect(editArgs(null)).toEqual({ inputArgs: [], videoFilters: [], audioFilters: [] })
+    expect(editArgs(defaultEdits)).toEqual({ inputArgs: [], videoFilters: [], audioFilters: [] })
+  })
+
+  it.each([
+    [{ start: 5 }, ['-ss', '5']],
+    [{ end: 20 }, ['-to', '20']],
+    [{ start: 1.23456, end: 9.87654 }, ['-ss', '1.2346', '-to', '9.8765']],
+  ])('trims %o with input options', (trim, inputArgs) => {
+    expect(editArgs(edits(trim)).inputArgs).toEqual(inputArgs)
+  })
+
+  it.each([
+    [{ rotate: 90 }, ['transpose=1']],
+    [{ rotate: 180 }, ['transpose=1', 'transpose=1']],
+    [{ rotate: 270 }, ['transpose=2']],
+    [{ flipH: true }, ['hflip']],
+    [{ flipV: true }, ['vflip']],
+    [{ rotate: 90, flipH: true, speed: 2 }, ['transpose=1', 'hflip', 'setpts=PTS/2']],
+  ])('turns %o into video filters', (change, videoFilters) => {
+    expect(editArgs(edits(change)).videoFilters).toEqual(videoFilters)
+  })
+
+  it('crops to even sizes before rotating', () => {
+    const { videoFilters } = editArgs(edits({ crop: { x: 0.1, y: 0.2, w: 0.5, h: 0.25 }, rotate: 90 }))
+    expect(videoFilters).toEqual(['crop=trunc(iw*0.5/2)*2:trunc(ih*0.25/2)*2:trunc(iw*0.1):trunc(ih*0.2)', 'transpose=1'])
+  })
+
+  it.each([
+    [1.5, ['atempo=1.5']],
+    [2, ['atempo=2']],
+    [4, ['atempo=2', 'atempo=2']],
+    [0.5, ['atempo=0.5']],
+    [0.25, ['atempo=0.5', 'atempo=0.5']],
+    [0.75, ['atempo=0.75']],
+  ])('keeps every atempo within 0.5..2 at %sx', (speed, audioFilters) => {
+    expect(editArgs(edits({ speed })).audioFilters).toEqual(audioFilters)
+  })
+})
+
+describe('editedDuration', () => {
+  it.each([
+    [null, 60, 60],
+    [{ start: 10 }, 60, 50],
+    [{ start: 10, end: 30 }, 60, 20],
+    [{ end: 90 }, 60, 60],
+    [{ start: 10, speed: 2 }, 60, 25],
+    [{ start: 70 }, 60, 0],
+    [null, null, null],
+  ])('%o of %s s lasts %s s', (change, duration, expected) => {
+    expect(editedDuration(change && edits(change), duration)).toBe(expected)
+  })
+})
+
+describe('outputTime and inputTime', () => {
+  it.each([
+    [null, 12, 12],
+    [{ start: 10 }, 12, 2],
+    [{ start: 10, speed: 2 }, 14, 2],
+    [{ speed: 0.5 }, 3, 6],
+  ])('map %o between the original and the output', (change, input, output) => {
+    expect(outputTime(change, input)).toBe(output)
+    expect(inputTime(change, output)).toBe(input)
+  })
+})
+
+describe('describeEdits', () => {
+  it('lists the edits in order', () => {
+    expect(hasEdits(defaultEdits)).toBe(false)
+    expect(describeEdits(edits({ start: 5, end: 20, crop: { x: 0, y: 0, w: 1, h: 1 }, rotate: 90, speed: 2 })))
+      .toBe('trim 0:05.0–0:20.0 · crop · rotate 90° · 2×')
+  })
+})
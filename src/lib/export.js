@@ -0,0 +1,106 @@
+import { exportFor, extraName, outputName, uniqueNamer } from './naming'
+import { zipParts } from './zip'
+
+export const canSaveFile = () => typeof window.showSaveFilePicker === 'function'
+export const canPickFolder = () => typeof window.showDirectoryPicker === 'function'
+
+const isAbort = (err) => err?.name === 'AbortError'
+
+/** Offers a Blob as a download through a temporary link. */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  // revoking right away can cancel the download; give it a moment to start
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000)
+}
+
+const namedEntries = (items, template, taken = []) => {
+  const unique = uniqueNamer(taken)
+  const date = new Date()
+  // posters, contact sheets and previews travel with their video
+  return items.flatMap(item => [
+    { item, name: unique(outputName(template, item, date)), blob: exportFor(item).blob, date },
+    ...(item.extras ?? []).map(extra => ({ item, name: unique(extraName(template, item, extra, date)), blob: extra.blob, date })),
+  ])
+}
+
+/**
+ * Packs finished items into a ZIP. With the File System Access API the
+ * archive streams straight to the file the user picks; otherwise it is
+ * offered as a download of a Blob that only references the outputs.
+ * Resolves false if the user cancelled the save dialog.
+ */
+export const downloadZip = async (items, template, onProgress) => {
+  const entries = namedEntries(items, template)
+  const parts = zipParts(entries, { onEntry: i => onProgress?.(i, entries.length) })
+  const fileName = `compressed-${new Date().toISOString().slice(0, 10)}.zip`
+
+  if (canSaveFile()) {
+    let handle
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+      })
+    } catch (err) {
+      if (isAbort(err)) return false
+      throw err
+    }
+    const writable = await handle.createWritable()
+    try {
+      for await (const part of parts) await writable.write(part)
+      await writable.close()
+    } catch (err) {
+      await writable.abort().catch(() => {})
+      throw err
+    }
+    return true
+  }
+
+  const collected = []
+  for await (const part of parts) collected.push(part)
+  downloadBlob(new Blob(collected, { type: 'application/zip' }), fileName)
+  return true
+}
+
+const listNames = async (dir) => {
+  const names = []
+  for await (const name of dir.keys()) names.push(name)
+  return names
+}
+
+/**
+ * Writes finished items into a folder the user picks. Existing files are
+ * never overwritten; clashing names get a " (n)" suffix.
+ * Resolves false if the user cancelled the folder picker.
+ */
+export const saveToFolder = async (items, template, onProgress) => {
+  let dir
+  try {
+    dir = await window.showDirectoryPicker({ mode: 'readwrite' })
+  } catch (err) {
+    if (isAbort(err)) return false
+    throw err
+  }
+  await writeToFolder(dir, items, template, onProgress)
+  return true
+}
+
+/**
+ * Writes finished items, and their extra images, into a directory handle
+ * with the same naming rules. Resolves with the names written.
+ */
+export const writeToFolder = async (dir, items, template, onProgress) => {
+  const entries = namedEntries(items, template, await listNames(dir))
+  for (const [i, entry] of entries.entries()) {
+    onProgress?.(i, entries.length)
+    const handle = await dir.getFileHandle(entry.name, { create: true })
+    const writable = await handle.createWritable()
+    await writable.write(entry.blob)
+    await writable.close()
+  }
+  return entries.map(entry => entry.name)
+}
@@ -0,0 +1,22 @@
+import fontUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url'
+import { cacheForOffline } from './offline'
+
+let font = null
+
+// The core has no fonts of its own; text overlays and subtitles use this
+// bundled one. Fetched once, on the first job that needs it.
+export const loadFont = () => {
+  if (!font) {
+    font = fetch(fontUrl)
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load the overlay font (HTTP ${res.status})`)
+        cacheForOffline([fontUrl])
+        return res.blob()
+      })
+      .catch(err => {
+        font = null
+        throw err
+      })
+  }
+  return font
+}
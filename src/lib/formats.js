@@ -0,0 +1,136 @@
+export const speedPresets = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow']
+
+// `encoder` is the FFmpeg encoder a format depends on; formats whose encoder
+// the loaded core does not list are disabled in the selector.
+export const formats = [
+  { id: 'mp4-h264', label: 'MP4 (H.264/AAC)', kind: 'video', ext: 'mp4', mime: 'video/mp4', encoder: 'libx264', audio: 'aac', twoPass: true },
+  { id: 'mp4-hevc', label: 'MP4 (HEVC/AAC)', kind: 'video', ext: 'mp4', mime: 'video/mp4', encoder: 'libx265', audio: 'aac', twoPass: false },
+  { id: 'webm-vp9', label: 'WebM (VP9/Opus)', kind: 'video', ext: 'webm', mime: 'video/webm', encoder: 'libvpx-vp9', audio: 'libopus', twoPass: true },
+  { id: 'webm-av1', label: 'WebM (AV1/Opus)', kind: 'video', ext: 'webm', mime: 'video/webm', encoder: 'libaom-av1', audio: 'libopus', twoPass: true },
+  { id: 'gif', label: 'Animated GIF', kind: 'gif', ext: 'gif', mime: 'image/gif', encoder: 'gif', audio: null, twoPass: false },
+  { id: 'mp3', label: 'Audio only (MP3)', kind: 'audio', ext: 'mp3', mime: 'audio/mpeg', encoder: 'libmp3lame', audio: 'libmp3lame', twoPass: false },
+  { id: 'm4a', label: 'Audio only (M4A/AAC)', kind: 'audio', ext: 'm4a', mime: 'audio/mp4', encoder: 'aac', audio: 'aac', twoPass: false },
+  { id: 'opus', label: 'Audio only (Opus)', kind: 'audio', ext: 'opus', mime: 'audio/ogg', encoder: 'libopus', audio: 'libopus', twoPass: false },
+]
+
+export const getFormat = (id) => formats.find(f => f.id === id) ?? formats[0]
+
+// The CRF slider is on the x264 scale; other encoders get the roughly
+// equivalent value on their own scale.
+const crfFor = (encoder, crf) => {
+  if (encoder === 'libx265') return crf + 4
+  if (encoder === 'libvpx-vp9') return Math.min(63, crf + 10)
+  if (encoder === 'libaom-av1') return Math.min(63, crf + 8)
+  return crf
+}
+
+// libvpx/libaom have no x264-style presets; map the speed list onto -cpu-used.
+const cpuUsed = (preset, max) => {
+  const i = speedPresets.indexOf(preset)
+  return String(Math.min(max, speedPresets.length - 1 - (i === -1 ? 5 : i)))
+}
+
+const speedArgs = (encoder, preset) => {
+  if (encoder === 'libx264' || encoder === 'libx265') return ['-preset', preset]
+  if (encoder === 'libvpx-vp9') return ['-deadline', 'good', '-cpu-used', cpuUsed(preset, 5), '-row-mt', '1']
+  if (encoder === 'libaom-av1') return ['-cpu-used', cpuUsed(preset, 8), '-row-mt', '1']
+  return []
+}
+
+// A `{ source, overlay }` step (a watermark) turns the chain into a graph:
+// `source` makes a second input, which `overlay` merges into the frames.
+const filterGraph = (chain) => {
+  const i = chain.findIndex(step => typeof step !== 'string')
+  if (i < 0) return chain.join(',')
+  const { source, overlay } = chain[i]
+  const before = chain.slice(0, i)
+  return `${source}[wm];[in]${before.length ? before.join(',') : 'null'}[main];[main][wm]${[overlay, ...chain.slice(i + 1)].join(',')}`
+}
+
+const videoFilterArgs = (format, filters) => {
+  const chain = [...filters]
+  if (format.kind === 'gif') {
+    chain.unshift('fps=12')
+    chain.push('split[a][b];[a]palettegen[p];[b][p]paletteuse')
+  }
+  return chain.length ? ['-vf', filterGraph(chain)] : []
+}
+
+// EBU R128 single-pass normalization to -16 LUFS, the usual target for speech.
+const LOUDNORM = 'loudnorm=I=-16:TP=-1.5:LRA=11'
+
+// Audio-only formats ignore `strip`; there would be nothing left.
+const dropsAudio = (format, audio) => !format.audio || (audio.strip && format.kind !== 'audio')
+
+const audioArgs = (format, audio, audioFilters = []) => {
+  if (dropsAudio(format, audio)) return ['-an']
+  const chain = audio.loudnorm ? [...audioFilters, LOUDNORM] : audioFilters
+  const af = chain.length ? ['-af', chain.join(',')] : []
+  // loudnorm resamples to 192 kHz internally; bring it back to a rate every encoder takes
+  const ar = audio.loudnorm ? ['-ar', '48000'] : []
+  const ac = audio.channels ? ['-ac', String(audio.channels)] : []
+  return [...af, '-c:a', format.audio, ...ac, ...ar, '-b:a', `${audio.kbps}k`]
+}
+
+// Without -map FFmpeg keeps its own pick of one video and one audio stream.
+const mapArgs = (format, audio) => {
+  if (audio.track == null || dropsAudio(format, audio)) return []
+  const a = ['-map', `0:a:${audio.track}`]
+  return format.kind === 'audio' ? a : ['-map', '0:v:0', ...a]
+}
+
+const containerArgs = (format) => {
+  if (format.id === 'mp4-hevc') return ['-tag:v', 'hvc1', '-movflags', '+faststart']
+  if (format.ext === 'mp4' || format.ext === 'm4a') return ['-movflags', '+faststart']
+  if (format.kind === 'gif') return ['-loop', '0']
+  return []
+}
+
+/**
+ * Single-pass arguments for `ffmpeg.exec`. `inputArgs` go before `-i` (e.g.
+ * trim points); `filters` are video filters (e.g. scale) applied before any
+ * format-specific ones, at most one of them a `{ source, overlay }`
+ * watermark step; `audioFilters` apply to the kept audio. `audio` is
+ * `{ kbps, channels, strip, loudnorm, track }`, where `channels` is null to
+ * keep the input's layout and `track` null to let FFmpeg choose.
+ */
+export const buildEncodeArgs = ({ format, input, output, inputArgs = [], filters = [], audioFilters = [], crf, preset, audio }) => {
+  if (format.kind === 'audio') {
+    return [...inputArgs, '-i', input, ...mapArgs(format, audio), '-vn', ...audioArgs(format, audio, audioFilters), ...containerArgs(format), output]
+  }
+  const quality = format.kind === 'gif'
+    ? []
+    : format.encoder === 'libvpx-vp9' || format.encoder === 'libaom-av1'
+      ? ['-crf', String(crfFor(format.encoder, crf)), '-b:v', '0']
+      : ['-crf', String(crfFor(format.encoder, crf))]
+  return [
+    ...inputArgs,
+    '-i', input,
+    ...mapArgs(format, audio),
+    ...videoFilterArgs(format, filters),
+    '-c:v', format.encoder,
+    ...quality,
+    ...speedArgs(format.encoder, preset),
+    ...audioArgs(format, audio, audioFilters),
+    ...containerArgs(format),
+    output,
+  ]
+}
+
+/**
+ * Both passes of a bitrate-targeted encode. Only valid for formats with
+ * `twoPass`; the first pass writes `<passLog>-0.log` into MEMFS.
+ */
+export const buildTwoPassArgs = ({ format, input, output, inputArgs = [], filters = [], audioFilters = [], kbps, preset, audio, passLog }) => {
+  const rate = [
+    '-c:v', format.encoder,
+    '-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`,
+    ...speedArgs(format.encoder, preset),
+    '-passlogfile', passLog,
+  ]
+  const vf = videoFilterArgs(format, filters)
+  return [
+    ['-y', ...inputArgs, '-i', input, ...vf, ...rate, '-pass', '1', '-an', '-f', 'null', '/dev/null'],
+    [...inputArgs, '-i', input, ...mapArgs(format, audio), ...vf, ...rate, '-pass', '2', ...audioArgs(format, audio, audioFilters), ...containerArgs(format), output],
+  ]
+}
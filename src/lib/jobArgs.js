@@ -0,0 +1,46 @@
+import { JobError } from './diagnostics'
+import { editArgs, editedDuration } from './edits'
+import { buildEncodeArgs, buildTwoPassArgs, getFormat } from './formats'
+import { megabytes, targetVideoKbps } from './media'
+import { outputFrame, overlayFilters } from './overlays'
+import { audioBitrate, audioChannelOptions, getScale, isTargetMode } from './settings'
+
+/**
+ * Everything needed to encode one queue item: the output format, the list of
+ * `ffmpeg.exec` argument arrays to run in order (two for a size-targeted
+ * encode) and the target size in bytes, if any. Throws when the settings
+ * cannot be met, e.g. a target size too small for the clip.
+ *
+ * `overlayPaths` say where the job put the files from `overlayFiles`;
+ * without them nothing is drawn over the picture.
+ */
+export const buildJobPlan = ({ item, inputInfo, inputName, outputName, passLog, overlayPaths = null }) => {
+  const format = getFormat(item.settings.formatId)
+  const scale = getScale(item.settings)
+  const { crf, preset, targetMB, audioTrack } = item.settings
+  const { inputArgs, videoFilters, audioFilters } = editArgs(item.edits)
+  const scaled = scale ? [...videoFilters, `scale='min(${scale},iw)':-2`] : videoFilters
+  const overlays = overlayPaths && format.kind !== 'audio'
+    ? overlayFilters({ settings: item.settings, paths: overlayPaths, frame: outputFrame(inputInfo, item.edits, scale), edits: item.edits })
+    : []
+  const filters = [...scaled, ...overlays]
+  const audio = {
+    kbps: item.settings.audioKbps,
+    channels: audioChannelOptions.find(o => o.id === item.settings.audioChannels)?.channels ?? null,
+    strip: item.settings.stripAudio,
+    loudnorm: item.settings.loudnorm,
+    // a track picked for another file may not exist in this one
+    track: audioTrack != null && audioTrack < (inputInfo?.audio?.length ?? 0) ? audioTrack : null,
+  }
+  const common = { format, input: inputName, output: outputName, inputArgs, filters, audioFilters, preset, audio }
+
+  if (isTargetMode(item.settings)) {
+    const duration = editedDuration(item.edits, inputInfo?.duration)
+    if (!duration) throw new JobError('Could not read the video duration')
+    const targetSize = megabytes(targetMB)
+    const kbps = targetVideoKbps(targetSize, duration, audioBitrate(item.settings))
+    if (!kbps) throw new JobError(`${targetMB} MB is too small for a ${Math.round(duration)} s video`)
+    return { format, passes: buildTwoPassArgs({ ...common, kbps, passLog }), targetSize }
+  }
+  return { format, passes: [buildEncodeArgs({ ...common, crf })], targetSize: null }
+}
@@ -0,0 +1,184 @@
+import { describe, expect, it } from 'vitest'
+import { buildJobPlan } from './jobArgs'
+import { defaultSettings } from './settings'
+
+const inputInfo = {
+  duration: 60,
+  kbps: 5000,
+  video: { codec: 'h264', width: 1920, height: 1080, fps: 30 },
+  audio: [
+    { index: 0, codec: 'aac', channels: 'stereo', sampleRate: 48000, language: 'eng' },
+    { index: 1, codec: 'aac', channels: 'mono', sampleRate: 48000, language: 'deu' },
+  ],
+}
+const plan = (settings, edits = null, info = inputInfo, overlayPaths = null) => buildJobPlan({
+  item: { settings: { ...defaultSettings, ...settings }, edits },
+  inputInfo: info,
+  inputName: '/in/input.mp4',
+  outputName: 'out.mp4',
+  passLog: 'pass',
+  overlayPaths,
+})
+
+describe('buildJobPlan', () => {
+  it('builds a single CRF encode', () => {
+    const { format, passes, targetSize } = plan({ sizePreset: '720p', crf: 28 })
+    expect(format.id).toBe('mp4-h264')
+    expect(targetSize).toBeNull()
+    expect(passes).toHaveLength(1)
+    const [args] = passes
+    expect(args.slice(0, 2)).toEqual(['-i', '/in/input.mp4'])
+    expect(args).toContain("scale='min(1280,iw)':-2")
+    expect(args[args.indexOf('-crf') + 1]).toBe('28')
+    expect(args.at(-1)).toBe('out.mp4')
+  })
+
+  it('leaves out the scale filter at the original size', () => {
+    const [args] = plan({ sizePreset: 'original' }).passes
+    expect(args.join(' ')).not.toMatch(/scale=/)
+  })
+
+  it('puts trim arguments before the input and edit filters before scaling', () => {
+    const [args] = plan({ sizePreset: '720p' }, { start: 5, end: 15, crop: null, rotate: 90, flipH: false, flipV: false, speed: 1 }).passes
+    expect(args.indexOf('-ss')).toBeLessThan(args.indexOf('-i'))
+    const vf = args[args.indexOf('-vf') + 1]
+    expect(vf.indexOf('transpose')).toBeLessThan(vf.indexOf('scale'))
+  })
+
+  it('builds two passes for a target size', () => {
+    const { passes, targetSize } = plan({ mode: 'target', targetMB: 10 })
+    expect(targetSize).toBe(10 * 1024 * 1024)
+    expect(passes).toHaveLength(2)
+    expect(passes[0]).toEqual(expect.arrayContaining(['-pass', '1', '-passlogfile', 'pass']))
+    expect(passes[1]).toEqual(expect.arrayContaining(['-pass', '2', '-passlogfile', 'pass']))
+    expect(passes[1].at(-1)).toBe('out.mp4')
+  })
+
+  it('spends the target on the trimmed duration', () => {
+    const bitrate = (edits) => {
+      const [pass1] = plan({ mode: 'target', targetMB: 10 }, edits).passes
+      return parseInt(pass1[pass1.indexOf('-b:v') + 1], 10)
+    }
+    const full = bitrate(null)
+    const half = bitrate({ start: 0, end: 30, crop: null, rotate: 0, flipH: false, flipV: false, speed: 1 })
+    expect(half).toBeGreaterThan(full * 1.9)
+  })
+
+  it.each([
+    // edits, video kbps for 10 MB
+    [null, 1228],
+    [{ start: 0, end: 30 }, 2584],
+    [{ start: 50, end: 90 }, 8008], // the end is clamped to the 60 s input
+    [{ speed: 2 }, 2584],
+    [{ start: 30, speed: 0.5 }, 1228],
+  ])('sets the target bitrate from the edited duration (%o)', (edits, kbps) => {
+    const [pass1, pass2] = plan({ mode: 'target', targetMB: 10 }, edits).passes
+    expect(pass1[pass1.indexOf('-b:v') + 1]).toBe(`${kbps}k`)
+    expect(pass2[pass2.indexOf('-b:v') + 1]).toBe(`${kbps}k`)
+  })
+
+  it('rejects a target that is too small for the clip', () => {
+    expect(() => plan({ mode: 'target', targetMB: 0.1 })).toThrow('0.1 MB is too small for a 60 s video')
+  })
+
+  it('needs a duration for a target size', () => {
+    expect(() => plan({ mode: 'target', targetMB: 10 }, null, { ...inputInfo, duration: null })).toThrow('Could not read the video duration')
+  })
+
+  describe('audio', () => {
+    const audioPart = (settings, formatId = 'mp4-h264') => plan({ formatId, ...settings }).passes.at(-1)
+
+    it('keeps 128 kbps audio by default', () => {
+      const args = audioPart({})
+      expect(args[args.indexOf('-b:a') + 1]).toBe('128k')
+      expect(args).not.toContain('-ac')
+      expect(args).not.toContain('-map')
+    })
+
+    it('drops audio from video outputs', () => {
+      const args = audioPart({ stripAudio: true, audioTrack: 1 })
+      expect(args).toContain('-an')
+      expect(args).not.toContain('-c:a')
+      expect(args).not.toContain('-map')
+    })
+
+    it('ignores strip for audio-only outputs', () => {
+      expect(audioPart({ stripAudio: true }, 'mp3')).toContain('-c:a')
+    })
+
+    it('downmixes, sets the bitrate and normalizes loudness', () => {
+      const args = audioPart({ audioChannels: 'mono', audioKbps: 48, loudnorm: true })
+      expect(args[args.indexOf('-ac') + 1]).toBe('1')
+      expect(args[args.indexOf('-b:a') + 1]).toBe('48k')
+      expect(args[args.indexOf('-af') + 1]).toMatch(/^loudnorm=I=-16/)
+      expect(args[args.indexOf('-ar') + 1]).toBe('48000')
+    })
+
+    it('runs loudnorm after the speed change', () => {
+      const [args] = plan({ loudnorm: true }, { start: 0, end: null, crop: null, rotate: 0, flipH: false, flipV: false, speed: 2 }).passes
+      expect(args[args.indexOf('-af') + 1]).toMatch(/^atempo=2.*,loudnorm=/)
+    })
+
+    it('maps the chosen audio track', () => {
+      const args = audioPart({ audioTrack: 1 })
+      expect(args.slice(args.indexOf('-map'), args.indexOf('-map') + 4)).toEqual(['-map', '0:v:0', '-map', '0:a:1'])
+      const audioOnly = audioPart({ audioTrack: 1 }, 'm4a')
+      expect(audioOnly.filter(a => a.startsWith('0:'))).toEqual(['0:a:1'])
+    })
+
+    it('ignores a track the input does not have', () => {
+      expect(audioPart({ audioTrack: 5 })).not.toContain('-map')
+    })
+
+    it('gives a stripped target-size encode the audio budget', () => {
+      const rate = (settings) => {
+        const [pass1] = plan({ mode: 'target', targetMB: 2, ...settings }).passes
+        return parseInt(pass1[pass1.indexOf('-b:v') + 1], 10)
+      }
+      expect(rate({ stripAudio: true }) - rate({})).toBe(128)
+    })
+  })
+
+  describe('overlays', () => {
+    const paths = { watermark: '/wm/watermark.png', textFile: '/text/text.txt', subtitles: '/sub/subtitles.srt', fontFile: '/font/font.ttf', fontDir: '/font' }
+    const vfOf = (settings, edits = null, only = paths) => {
+      const [args] = plan({ sizePreset: '720p', ...settings }, edits, inputInfo, only).passes
+      return args[args.indexOf('-vf') + 1]
+    }
+
+    it('draws nothing without mounted files', () => {
+      expect(vfOf({ overlayText: 'hi' }, null, null)).toBe("scale='min(1280,iw)':-2")
+    })
+
+    it('overlays the watermark after scaling, sized to the output width', () => {
+      const vf = vfOf({ watermarkPosition: 'bottom-right', watermarkOpacity: 0.5, watermarkScale: 10 }, null, { watermark: paths.watermark })
+      expect(vf).toBe(
+        'movie=/wm/watermark.png,scale=128:-1,format=rgba,colorchannelmixer=aa=0.5[wm];' +
+        "[in]scale='min(1280,iw)':-2[main];[main][wm]overlay=x=W-w-22:y=H-h-22",
+      )
+    })
+
+    it('draws text from the text file with the bundled font', () => {
+      const vf = vfOf({ textPosition: 'top-left', textSize: 4 }, null, { textFile: paths.textFile, fontFile: paths.fontFile })
+      expect(vf).toMatch(/^scale=.*,drawtext=fontfile=\/font\/font.ttf:textfile=\/text\/text.txt:fontsize=29:.*:x=22:y=22$/)
+    })
+
+    it('moves timestamps back to the source time around the subtitles', () => {
+      const edits = { start: 10, end: null, crop: null, rotate: 0, flipH: false, flipV: false, speed: 2 }
+      const vf = vfOf({}, edits, { subtitles: paths.subtitles, fontDir: paths.fontDir })
+      expect(vf).toMatch(/setpts=PTS\*2\+10\/TB,subtitles=\/sub\/subtitles.srt:fontsdir=\/font:force_style='FontName=DejaVu Sans',setpts=\(PTS-10\/TB\)\/2$/)
+      expect(vfOf({}, null, { subtitles: paths.subtitles, fontDir: paths.fontDir })).not.toMatch(/setpts/)
+    })
+
+    it('keeps the watermark graph intact for GIFs and two-pass encodes', () => {
+      expect(vfOf({ formatId: 'gif' }, null, { watermark: paths.watermark }))
+        .toMatch(/^movie=.*\[wm\];\[in\]fps=12,scale=.*\[main\];\[main\]\[wm\]overlay=.*,split\[a\]\[b\];\[a\]palettegen\[p\];\[b\]\[p\]paletteuse$/)
+      const { passes } = plan({ mode: 'target', targetMB: 10 }, null, inputInfo, { watermark: paths.watermark })
+      expect(passes.every(args => args[args.indexOf('-vf') + 1].startsWith('movie='))).toBe(true)
+    })
+
+    it('starts the graph from the input when nothing comes before the watermark', () => {
+      expect(vfOf({ sizePreset: 'original' }, null, { watermark: paths.watermark })).toMatch(/\[in\]null\[main\]/)
+    })
+  })
+})
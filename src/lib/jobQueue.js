@@ -0,0 +1,629 @@
+import { createLogBuffer, execChecked, failureMessage, JobError } from './diagnostics'
+import { defaultEdits } from './edits'
+import { getFormat } from './formats'
+import { buildJobPlan } from './jobArgs'
+import { parseProbe } from './media'
+import { checkMemory } from './memory'
+import { overlayFiles, usesOverlays } from './overlays'
+import { BackendUnavailable } from './remote'
+import { buildExtraJobs, wantsExtras } from './thumbnails'
+
+// FFFSType.WORKERFS; spelled out so this module does not depend on the
+// browser-only @ffmpeg/ffmpeg entry point.
+const WORKERFS = 'WORKERFS'
+
+// Jobs on the server at once, unless `options.offload.maxJobs` says otherwise.
+const REMOTE_JOBS = 2
+
+/**
+ * Allowed status changes. Every status change goes through this table, so an
+ * item can never be started twice or revived from a final state by accident.
+ */
+export const transitions = {
+  queued: ['processing', 'skipped'],
+  processing: ['done', 'error', 'skipped'],
+  done: [],
+  error: ['queued'], // retry
+  skipped: ['queued'],
+}
+
+let idCounter = 0
+export const newItemId = () => `${Date.now()}-${idCounter++}`
+
+export const createItem = (file, settings, overrides = {}) => ({
+  id: newItemId(),
+  file,
+  name: file.name,
+  inputUrl: URL.createObjectURL(file),
+  inputSize: file.size,
+  lastModified: file.lastModified ?? null,
+  inputInfo: null,
+  settings: { ...settings },
+  edits: null,
+  subtitleFile: null, // .srt/.vtt dropped with the video
+  status: 'queued',
+  progress: 0,
+  outputUrl: null,
+  error: null,
+  ...overrides,
+})
+
+// Same name, size and modification time: almost certainly the same file.
+export const fileKey = ({ name, size, lastModified }) => `${name}\u0000${size}\u0000${lastModified}`
+const itemKey = (item) => fileKey({ name: item.file?.name ?? item.name, size: item.inputSize, lastModified: item.lastModified ?? item.file?.lastModified })
+
+/**
+ * Splits dropped `files` into `fresh` ones and `duplicates` of files already
+ * in `items` (or earlier in the same drop).
+ */
+export const findDuplicates = (files, items) => {
+  const seen = new Set(items.map(itemKey))
+  const fresh = []
+  const duplicates = []
+  for (const file of files) {
+    const key = fileKey(file)
+    if (seen.has(key)) duplicates.push(file)
+    else fresh.push(file)
+    seen.add(key)
+  }
+  return { fresh, duplicates }
+}
+
+const extOf = (name) => name.match(/\.[^.]+$/)?.[0] ?? ''
+
+// Files are mounted read-only with WORKERFS, so they are read on demand
+// instead of being copied into JS memory and MEMFS.
+const mountBlob = async (ffmpeg, dir, name, data) => {
+  await ffmpeg.createDir(dir)
+  await ffmpeg.mount(WORKERFS, { blobs: [{ name, data }] }, dir)
+}
+
+const unmountDir = async (ffmpeg, dir) => {
+  try { await ffmpeg.unmount(dir) } catch {}
+  try { await ffmpeg.deleteDir(dir) } catch {}
+}
+
+const revokeUrls = (item) => {
+  if (item.inputUrl) URL.revokeObjectURL(item.inputUrl)
+  if (item.outputUrl) URL.revokeObjectURL(item.outputUrl)
+  item.extras?.forEach(extra => URL.revokeObjectURL(extra.url))
+}
+
+/**
+ * `parts` queued copies of `item`, each trimmed to one consecutive time range
+ * of the item's (already trimmed) input.
+ */
+export const splitItem = (item, parts) => {
+  const start = item.edits?.start ?? 0
+  const end = item.edits?.end ?? item.inputInfo.duration
+  const step = (end - start) / parts
+  const [, stem, ext = ''] = item.name.match(/^(.*?)(\.[^.]+)?$/)
+  return Array.from({ length: parts }, (_, i) => createItem(item.file, item.settings, {
+    name: `${stem} (part ${i + 1} of ${parts})${ext}`,
+    inputInfo: item.inputInfo,
+    subtitleFile: item.subtitleFile ?? null,
+    edits: {
+      ...defaultEdits,
+      ...item.edits,
+      start: start + step * i,
+      end: i === parts - 1 ? item.edits?.end ?? null : start + step * (i + 1),
+    },
+  }))
+}
+
+/**
+ * The compression queue. Owns the list of items and their status, hands
+ * queued items to idle FFmpeg workers, and is the only code that listens to
+ * worker `log`/`progress` events: each worker gets exactly one listener of
+ * each, routed to whichever job it is running.
+ *
+ * Events (subscribe with `on`, which returns an unsubscribe function):
+ *   change  (items)              after any item changes
+ *   status  ({ item, from, to }) after a status transition
+ *   running (boolean)            after start/pause
+ *   busy    (boolean)            when workers start or stop working (probes included)
+ *
+ * `options.reloadWorker(index)` is called after a worker had to be
+ * terminated (cancel or timeout); the caller replaces it through
+ * `setWorkers`.
+ *
+ * `options.offload` is null or `{ minBytes, maxJobs, run(item, { signal, onProgress }) }`:
+ * inputs of at least `minBytes` are handed to `run`, which resolves with the
+ * output Blob. When it throws BackendUnavailable the job is compressed
+ * locally after all. Items with overlays always stay local: their image,
+ * text and subtitle files are only mounted here. A job only holds a worker
+ * to probe its input and, once the server is done, its output; while it is
+ * on the server the worker runs other jobs. At most `maxJobs` (default
+ * REMOTE_JOBS) jobs are on the server at once.
+ *
+ * Video items whose settings ask for a poster, contact sheet or preview get
+ * them cut from the finished output on the same worker, as `extras`:
+ * `[{ kind, label, ext, blob, url, size }]`.
+ *
+ * `options.loadFont()` resolves with the font file (a Blob) that text
+ * overlays and subtitles are drawn with, and `options.loadWatermark(id)` with
+ * a watermark image (null if it is not stored).
+ */
+export const createJobQueue = (initialOptions = {}) => {
+  let items = []
+  let running = false
+  let busy = false
+  let workers = [] // {index, ffmpeg, job, dead, onLog, onProgress}
+  const jobs = new Map() // item id -> running job
+  const toProbe = new Set() // ids of items whose streams are not known yet
+  const waiting = [] // {job, give(worker)} of jobs back from the server
+  let remoteJobs = 0
+  const options = { timeoutMin: 0, multiThread: false, reloadWorker: null, offload: null, loadFont: null, loadWatermark: null, ...initialOptions }
+  const listeners = new Map()
+
+  const on = (event, fn) => {
+    if (!listeners.has(event)) listeners.set(event, new Set())
+    listeners.get(event).add(fn)
+    return () => listeners.get(event).delete(fn)
+  }
+  const emit = (event, payload) => listeners.get(event)?.forEach(fn => fn(payload))
+
+  const commit = (next) => {
+    items = next
+    emit('change', items)
+  }
+
+  const find = (id) => items.find(it => it.id === id)
+
+  const patch = (id, fields) => {
+    if (!find(id)) return
+    commit(items.map(it => (it.id === id ? { ...it, ...fields } : it)))
+  }
+
+  const setStatus = (id, to, fields = {}) => {
+    const item = find(id)
+    if (!item || !transitions[item.status].includes(to)) return false
+    patch(id, { ...fields, status: to })
+    emit('status', { item: find(id), from: item.status, to })
+    return true
+  }
+
+  /** Moves an item to `index` in the list; queued items run in list order. */
+  const move = (id, index) => {
+    const item = find(id)
+    if (!item) return
+    const rest = items.filter(it => it !== item)
+    const at = Math.max(0, Math.min(index, rest.length))
+    commit([...rest.slice(0, at), item, ...rest.slice(at)])
+  }
+
+  // --- workers ---
+
+  const attach = ({ index, ffmpeg }) => {
+    const worker = { index, ffmpeg, job: null, dead: false }
+    worker.onLog = ({ message }) => worker.job?.onLog(message)
+    worker.onProgress = ({ progress }) => worker.job?.onProgress(progress)
+    ffmpeg.on('log', worker.onLog)
+    ffmpeg.on('progress', worker.onProgress)
+    return worker
+  }
+
+  const detach = (worker) => {
+    worker.ffmpeg.off('log', worker.onLog)
+    worker.ffmpeg.off('progress', worker.onProgress)
+  }
+
+  /** Syncs with the pool's `{ index, ffmpeg, ready }` slots. */
+  const setWorkers = (slots) => {
+    const live = slots.filter(s => s?.ready && s.ffmpeg)
+    const next = live.map(slot => workers.find(w => w.ffmpeg === slot.ffmpeg) ?? attach(slot))
+    // a busy worker keeps its listeners until its job has finished
+    workers.filter(w => !next.includes(w) && !w.job).forEach(detach)
+    workers = next
+    schedule()
+  }
+
+  // --- scheduling ---
+
+  // Jobs back from the server go first, as they already started. Probes come
+  // next, even while paused: they take a moment and let a row's settings
+  // offer the file's audio tracks. Items bound for a full server wait.
+  const schedule = () => {
+    for (const worker of workers) {
+      if (worker.job || worker.dead) continue
+      if (waiting.length) {
+        waiting.shift().give(worker)
+        continue
+      }
+      const unprobed = items.find(it => toProbe.has(it.id))
+      if (unprobed) {
+        toProbe.delete(unprobed.id)
+        inspect(worker, unprobed)
+        continue
+      }
+      if (!running) break
+      const next = items.find(it => it.status === 'queued' && !jobs.has(it.id) && !(goesRemote(it) && remoteFull()))
+      if (!next) break
+      runJob(worker, next)
+    }
+    // jobs take their worker synchronously and hand it back before calling schedule()
+    const nowBusy = workers.some(w => w.job)
+    if (nowBusy !== busy) {
+      busy = nowBusy
+      emit('busy', busy)
+    }
+  }
+
+  const queueProbes = (list) => {
+    list.filter(it => !it.inputInfo && it.file).forEach(it => toProbe.add(it.id))
+  }
+
+  const offloads = (item) => !!options.offload && (item.inputSize ?? 0) >= options.offload.minBytes
+  // overlay files are only mounted here, so those items never leave the browser
+  const drawsOverlays = (item) => getFormat(item.settings.formatId).kind !== 'audio' && usesOverlays(item)
+  const goesRemote = (item) => offloads(item) && !drawsOverlays(item)
+  const remoteFull = () => remoteJobs >= (options.offload?.maxJobs ?? REMOTE_JOBS)
+
+  const stopJob = (job, reason) => {
+    if (job.stopReason) return
+    job.stopReason = reason
+    // a job on the server only needs its requests cancelled
+    if (job.abort) return job.abort.abort()
+    // and one waiting for a worker holds none
+    if (!job.worker) return job.cancelWait()
+    job.worker.dead = true
+    job.worker.ffmpeg.terminate()
+  }
+
+  // `ffmpeg -i` with no output lists the input's streams and then fails.
+  const probe = async (job, path) => {
+    job.capture = []
+    try {
+      await job.worker.ffmpeg.exec(['-hide_banner', '-i', path])
+      return parseProbe(job.capture)
+    } finally {
+      job.capture = null
+    }
+  }
+
+  // Reads an item's stream info ahead of its encode.
+  const inspect = async (worker, item) => {
+    const job = { worker, capture: null, onLog: message => job.capture?.push(message), onProgress: () => {} }
+    const dir = `/probe_${item.id}`
+    const name = `input${extOf(item.name)}`
+    worker.job = job
+    try {
+      await mountBlob(worker.ffmpeg, dir, name, item.file)
+      const inputInfo = await probe(job, `${dir}/${name}`)
+      if (!find(item.id)?.inputInfo) patch(item.id, { inputInfo })
+    } catch {
+      // the encode probes again and reports any problem
+    } finally {
+      if (!worker.dead) await unmountDir(worker.ffmpeg, dir)
+      worker.job = null
+      schedule()
+    }
+  }
+
+  // Synchronous until the first await: the item is marked processing and the
+  // worker taken before schedule() looks for more work.
+  const runJob = async (worker, item) => {
+    const log = createLogBuffer()
+    const job = { id: item.id, worker, stopReason: null, log, capture: null, lastFlush: 0, abort: null, cancelWait: null }
+    const flushLog = () => {
+      job.lastFlush = Date.now()
+      patch(item.id, { log: log.lines() })
+    }
+    job.onLog = (message) => {
+      log.push(message)
+      job.capture?.push(message)
+      // the log viewer can be open during the encode; refresh it once a second
+      if (Date.now() - job.lastFlush > 1000) flushLog()
+    }
+    // multi-pass encodes report 0..1 per pass; each pass gets its share of the bar
+    let span = { from: 0, size: 100 }
+    job.onProgress = (progress) => {
+      patch(item.id, { progress: Math.round(span.from + (progress || 0) * span.size) })
+    }
+    worker.job = job
+    jobs.set(item.id, job)
+    toProbe.delete(item.id)
+    // the server slot is taken now, so schedule() does not start more
+    let remote = goesRemote(item)
+    if (remote) remoteJobs++
+    // the callers schedule() after it
+    const endRemote = () => {
+      if (remote) remoteJobs--
+      remote = false
+    }
+    setStatus(item.id, 'processing', { progress: 0, error: null, tooLarge: null, log: [], extras: [], extrasNote: null })
+
+    const ext = extOf(item.name)
+    const inputName = `/in_${item.id}/input${ext}`
+    const format = getFormat(item.settings.formatId)
+    const outputName = `out_${item.id}.${format.ext}`
+    const passLog = `pass_${item.id}`
+    const makesExtras = format.kind === 'video' && wantsExtras(item.settings)
+    // the images get the last tenth of the progress bar
+    const encodeShare = makesExtras ? 90 : 100
+    const scratch = [outputName, `${passLog}-0.log`, `${passLog}-0.log.mbtree`]
+    const { timeoutMin } = options
+    const timer = timeoutMin > 0
+      ? setTimeout(() => stopJob(job, 'timeout'), timeoutMin * 60 * 1000)
+      : null
+
+    let mounts = []
+    const mount = (dir, name, data) => {
+      mounts.push(dir)
+      return mountBlob(job.worker.ffmpeg, dir, name, data)
+    }
+
+    // Clears what the job left in its worker's MEMFS. A terminated worker
+    // took its MEMFS with it.
+    const cleanUp = async () => {
+      const { ffmpeg, dead } = job.worker
+      if (dead) return
+      for (const f of scratch) {
+        try { await ffmpeg.deleteFile(f) } catch {}
+      }
+      for (const dir of mounts) await unmountDir(ffmpeg, dir)
+      mounts = []
+    }
+
+    const releaseWorker = async () => {
+      await cleanUp()
+      const { worker } = job
+      job.worker = null
+      worker.job = null
+      if (!workers.includes(worker)) detach(worker)
+      schedule()
+    }
+
+    // Resolves with the next free worker; stopJob() rejects the wait.
+    const takeWorker = () => new Promise((resolve, reject) => {
+      const entry = {
+        job,
+        give: (worker) => {
+          job.cancelWait = null
+          job.worker = worker
+          worker.job = job
+          resolve(worker)
+        },
+      }
+      job.cancelWait = () => {
+        waiting.splice(waiting.indexOf(entry), 1)
+        job.cancelWait = null
+        reject(new Error('Stopped'))
+      }
+      waiting.push(entry)
+      schedule()
+    })
+
+    // Puts the overlay files where the filters read them. Null when nothing
+    // is drawn over the picture.
+    const mountOverlays = async () => {
+      if (format.kind === 'audio' || !usesOverlays(item)) return null
+      const files = overlayFiles(item)
+      const paths = {}
+      if (files.font) {
+        if (!options.loadFont) throw new JobError('Text overlays and subtitles need a font, and none is available')
+        paths.fontDir = `/font_${item.id}`
+        paths.fontFile = `${paths.fontDir}/font.ttf`
+        await mount(paths.fontDir, 'font.ttf', await options.loadFont())
+      }
+      if (files.watermarkId) {
+        const image = await options.loadWatermark?.(files.watermarkId)
+        if (!image) throw new JobError('The watermark image is not stored in this browser. Add it again in the settings.')
+        const name = `watermark.${image.type.split('/')[1] ?? 'png'}`
+        paths.watermark = `/wm_${item.id}/${name}`
+        await mount(`/wm_${item.id}`, name, image)
+      }
+      if (files.text != null) {
+        paths.textFile = `/text_${item.id}/text.txt`
+        await mount(`/text_${item.id}`, 'text.txt', new Blob([files.text]))
+      }
+      if (files.subtitles) {
+        const name = `subtitles${extOf(files.subtitles.name).toLowerCase()}`
+        paths.subtitles = `/sub_${item.id}/${name}`
+        await mount(`/sub_${item.id}`, name, files.subtitles)
+      }
+      return paths
+    }
+
+    // Hands the encode to the server and the worker back to the pool until
+    // the output is ready. Null when the server cannot be used, so the caller
+    // compresses in the browser instead.
+    const runRemote = async () => {
+      patch(item.id, { offloaded: true, offloadNote: null })
+      job.abort = new AbortController()
+      let blob
+      try {
+        await releaseWorker()
+        job.abort.signal.throwIfAborted()
+        blob = await options.offload.run(item, { signal: job.abort.signal, onProgress: job.onProgress })
+      } catch (err) {
+        if (!(err instanceof BackendUnavailable) || job.stopReason) throw err
+        patch(item.id, { offloaded: false, offloadNote: `${err.message}, so it was compressed in the browser.` })
+        return null
+      } finally {
+        job.abort = null
+        endRemote()
+      }
+      await takeWorker()
+      // probe the result here too, for the row and Compare
+      await mount(`/out_${item.id}`, `output.${format.ext}`, blob)
+      const source = `/out_${item.id}/output.${format.ext}`
+      const outputInfo = await probe(job, source)
+      return { blob: new Blob([blob], { type: format.mime }), outputInfo, source }
+    }
+
+    // A failed image is noted on the row but does not fail the video.
+    const makeExtras = async ({ source, outputInfo }) => {
+      const runs = buildExtraJobs({ settings: item.settings, input: source, duration: outputInfo.duration, prefix: `extra_${item.id}` })
+      const extras = []
+      const failed = []
+      for (const [i, run] of runs.entries()) {
+        span = { from: encodeShare + (i * (100 - encodeShare)) / runs.length, size: (100 - encodeShare) / runs.length }
+        scratch.push(run.output)
+        try {
+          await execChecked(job.worker.ffmpeg, run.args, log)
+          const data = await job.worker.ffmpeg.readFile(run.output)
+          const blob = new Blob([data.buffer], { type: run.mime })
+          extras.push({ kind: run.kind, label: run.label, ext: run.ext, blob, url: URL.createObjectURL(blob), size: blob.size })
+        } catch (err) {
+          if (job.stopReason) {
+            extras.forEach(extra => URL.revokeObjectURL(extra.url))
+            throw err
+          }
+          failed.push(run.label.toLowerCase())
+        }
+      }
+      return { extras, extrasNote: failed.length ? `Could not create the ${failed.join(' and ')}; see the log.` : null }
+    }
+
+    try {
+      await mount(`/in_${item.id}`, `input${ext}`, item.file)
+      const inputInfo = await probe(job, inputName)
+      patch(item.id, { inputInfo })
+      if (format.kind !== 'audio' && !inputInfo.video) {
+        throw new JobError(inputInfo.audio.length
+          ? 'This file has no video stream. Choose an audio-only format to extract its audio.'
+          : 'No video or audio stream found. The file may be damaged or not a video.')
+      }
+      const overlayPaths = await mountOverlays()
+      // also rejects impossible settings before anything is uploaded
+      const { passes, targetSize } = buildJobPlan({ item, inputInfo, inputName, outputName, passLog, overlayPaths })
+
+      span = { from: 0, size: encodeShare }
+      let result = null
+      if (offloads(item)) {
+        if (overlayPaths) patch(item.id, { offloadNote: 'Overlays are drawn in the browser, so it was compressed here.' })
+        else result = await runRemote()
+      }
+      if (!result) {
+        if (!job.worker) {
+          await takeWorker()
+          await mount(`/in_${item.id}`, `input${ext}`, item.file)
+        }
+        const tooLarge = checkMemory(item, inputInfo, options.multiThread)
+        if (tooLarge) {
+          patch(item.id, { tooLarge })
+          throw new JobError(tooLarge.message)
+        }
+        for (const [i, args] of passes.entries()) {
+          span = { from: (i * encodeShare) / passes.length, size: encodeShare / passes.length }
+          await execChecked(job.worker.ffmpeg, args, log)
+        }
+        const outputInfo = await probe(job, outputName)
+        const data = await job.worker.ffmpeg.readFile(outputName)
+        result = { blob: new Blob([data.buffer], { type: format.mime }), outputInfo, source: outputName }
+      }
+
+      const { blob, outputInfo } = result
+      const images = makesExtras ? await makeExtras(result) : {}
+      setStatus(item.id, 'done', {
+        progress: 100,
+        outputBlob: blob,
+        outputUrl: URL.createObjectURL(blob),
+        outputSize: blob.size,
+        outputExt: format.ext,
+        outputInfo,
+        targetSize,
+        ...images,
+      })
+    } catch (err) {
+      if (job.stopReason === 'timeout') {
+        setStatus(item.id, 'error', { error: `Timed out after ${timeoutMin} min` })
+      } else if (!job.stopReason) {
+        setStatus(item.id, 'error', { error: failureMessage(err) })
+      }
+      // cancelled jobs were already marked skipped by cancel()
+    } finally {
+      clearTimeout(timer)
+      endRemote()
+      flushLog()
+      // a job that failed on the server holds no worker
+      const { worker } = job
+      if (worker?.dead) {
+        detach(worker)
+        workers = workers.filter(w => w !== worker)
+        options.reloadWorker?.(worker.index)
+      } else if (worker) {
+        // runs on the error path too, so a failed job leaves nothing in MEMFS
+        await cleanUp()
+        if (!workers.includes(worker)) detach(worker)
+      }
+      if (worker) worker.job = null
+      jobs.delete(item.id)
+      schedule()
+    }
+  }
+
+  // --- public API ---
+
+  return {
+    on,
+    setWorkers,
+    getItems: () => items,
+    isRunning: () => running,
+    isBusy: () => busy,
+    setOptions(next) {
+      Object.assign(options, next)
+    },
+    start() {
+      running = true
+      emit('running', running)
+      schedule()
+    },
+    pause() {
+      running = false
+      emit('running', running)
+    },
+    add(newItems) {
+      commit([...items, ...newItems])
+      queueProbes(newItems)
+      schedule()
+    },
+    /** Puts previously saved items back at the front of the queue. */
+    restore(saved) {
+      const known = new Set(items.map(it => it.id))
+      const fresh = saved.filter(it => !known.has(it.id))
+      commit([...fresh, ...items])
+      queueProbes(fresh.filter(it => it.status === 'queued'))
+      schedule()
+    },
+    /** Changes item fields other than `status`, which only moves through `transitions`. */
+    update(id, fields) {
+      const { status, ...rest } = fields
+      patch(id, rest)
+    },
+    /** Removes items and frees their object URLs; a processing item has to be cancelled first. */
+    remove(ids) {
+      const drop = new Set(ids)
+      const removed = items.filter(it => drop.has(it.id) && it.status !== 'processing')
+      if (!removed.length) return
+      commit(items.filter(it => !removed.includes(it)))
+      removed.forEach(revokeUrls)
+    },
+    /** Swaps one item for others at the same position (e.g. split parts). */
+    replace(id, replacement) {
+      const item = find(id)
+      if (!item || item.status === 'processing') return
+      commit(items.flatMap(it => (it.id === id ? replacement : [it])))
+      revokeUrls(item)
+      schedule()
+    },
+    move,
+    /** Moves a queued item ahead of every other queued item. */
+    processNext(id) {
+      if (find(id)?.status !== 'queued') return
+      const others = items.filter(it => it.id !== id)
+      const first = others.findIndex(it => it.status === 'queued')
+      move(id, first < 0 ? others.length : first)
+    },
+    /** Queues an errored or skipped item again, with its current settings and edits. */
+    retry(id) {
+      if (setStatus(id, 'queued', { progress: 0, error: null, tooLarge: null, offloaded: false, offloadNote: null })) schedule()
+    },
+    cancel(id) {
+      const job = jobs.get(id)
+      setStatus(id, 'skipped')
+      if (job) stopJob(job, 'cancel')
+    },
+  }
+}
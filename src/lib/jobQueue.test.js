@@ -0,0 +1,806 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createItem, createJobQueue, findDuplicates, splitItem } from './jobQueue'
+import { BackendUnavailable } from './remote'
+import { defaultSettings } from './settings'
+
+const probeLines = [
+  "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'input.mp4':",
+  '  Duration: 00:00:10.00, start: 0.000000, bitrate: 1000 kb/s',
+  '  Stream #0:0(und): Video: h264 (High), yuv420p, 1280x720, 900 kb/s, 30 fps',
+  '  Stream #0:1(eng): Audio: aac (LC), 48000 Hz, stereo, fltp, 128 kb/s',
+  'At least one output file must be specified',
+]
+
+/**
+ * Stands in for an FFmpeg.wasm instance: a MEMFS-like file map, `log` and
+ * `progress` events, and encodes that finish when `release()` is called (or
+ * straight away with `auto`).
+ */
+class MockFFmpeg {
+  constructor({ auto = true, exitCode = 0, probe = probeLines } = {}) {
+    this.auto = auto
+    this.exitCode = exitCode
+    this.probeLines = probe
+    this.files = new Map()
+    this.dirs = new Set()
+    this.listeners = { log: new Set(), progress: new Set() }
+    this.pending = []
+    this.encodes = []
+    this.terminated = false
+  }
+
+  on(event, fn) { this.listeners[event].add(fn) }
+  off(event, fn) { this.listeners[event].delete(fn) }
+  emit(event, payload) { this.listeners[event].forEach(fn => fn(payload)) }
+
+  async createDir(dir) { this.dirs.add(dir) }
+  async deleteDir(dir) { this.dirs.delete(dir) }
+  async mount(type, { blobs }, dir) {
+    this.mountType = type
+    blobs.forEach(b => this.files.set(`${dir}/${b.name}`, b.data))
+  }
+  async unmount(dir) {
+    for (const name of [...this.files.keys()]) if (name.startsWith(`${dir}/`)) this.files.delete(name)
+  }
+  async deleteFile(name) {
+    if (!this.files.delete(name)) throw new Error('ENOENT')
+  }
+  async readFile(name) {
+    if (!this.files.has(name)) throw new Error('ENOENT')
+    return this.files.get(name)
+  }
+
+  exec(args) {
+    if (this.terminated) return Promise.reject(new Error('called FFmpeg.terminate()'))
+    // `ffmpeg -i <file>` with no output: print the stream listing and fail
+    if (args.length === 3 && args[1] === '-i') {
+      this.probeLines.forEach(message => this.emit('log', { type: 'stderr', message }))
+      return Promise.resolve(1)
+    }
+    this.encodes.push(args)
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        this.emit('progress', { progress: 0.5 })
+        this.emit('progress', { progress: 1 })
+        if (this.exitCode === 0) this.files.set(args[args.length - 1], new Uint8Array(1000))
+        else this.emit('log', { type: 'stderr', message: 'Error while filtering: Invalid argument' })
+        resolve(this.exitCode)
+      }
+      if (this.auto) setTimeout(finish, 0)
+      else this.pending.push({ finish, reject })
+    })
+  }
+
+  release() {
+    this.pending.splice(0).forEach(p => p.finish())
+  }
+
+  terminate() {
+    this.terminated = true
+    this.pending.splice(0).forEach(p => p.reject(new Error('called FFmpeg.terminate()')))
+  }
+
+  listenerCount() {
+    return this.listeners.log.size + this.listeners.progress.size
+  }
+}
+
+const slot = (ffmpeg, index = 0) => ({ index, ffmpeg, ready: true })
+const video = (name = 'clip.mp4', size = 100) => new File([new Uint8Array(size)], name, { type: 'video/mp4' })
+const statusOf = (engine) => engine.getItems().map(it => it.status)
+const settle = () => new Promise(resolve => setTimeout(resolve, 5))
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return
+    await settle()
+  }
+  throw new Error('timed out waiting')
+}
+
+describe('createJobQueue', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = createJobQueue()
+  })
+
+  it('processes queued items in order', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    const started = []
+    engine.on('status', ({ item, to }) => to === 'processing' && started.push(item.name))
+    engine.start()
+
+    await waitFor(() => statusOf(engine).every(s => s === 'done'))
+    expect(started).toEqual(['a.mp4', 'b.mp4'])
+    const [a] = engine.getItems()
+    expect(a.progress).toBe(100)
+    expect(a.outputSize).toBe(1000)
+    expect(a.outputExt).toBe('mp4')
+    expect(a.inputInfo.video).toMatchObject({ codec: 'h264', width: 1280, height: 720 })
+    expect(ffmpeg.mountType).toBe('WORKERFS')
+  })
+
+  it('does not start queued items until started', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    await settle()
+    expect(statusOf(engine)).toEqual(['queued'])
+    expect(ffmpeg.encodes).toHaveLength(0)
+  })
+
+  it('probes added files while paused', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    await waitFor(() => engine.getItems()[0].inputInfo)
+    expect(engine.getItems()[0].inputInfo.audio).toHaveLength(1)
+    expect(statusOf(engine)).toEqual(['queued'])
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+
+  it('counts probing workers as busy', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const busy = []
+    engine.on('busy', b => busy.push(b))
+    engine.setWorkers([slot(ffmpeg)])
+    expect(engine.isBusy()).toBe(false)
+    engine.add([createItem(video(), defaultSettings)])
+    expect(engine.isBusy()).toBe(true)
+    await waitFor(() => engine.getItems()[0].inputInfo)
+    await settle()
+    expect(engine.isBusy()).toBe(false)
+    expect(busy).toEqual([true, false])
+  })
+
+  it('never starts the same item twice', async () => {
+    const ffmpeg = new MockFFmpeg({ auto: false })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    // repeated triggers that used to re-run the scheduler effect
+    engine.start()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([])
+    await settle()
+    expect(ffmpeg.encodes).toHaveLength(1)
+    ffmpeg.release()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(ffmpeg.encodes).toHaveLength(1)
+  })
+
+  it('keeps one log and one progress listener per worker', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([1, 2, 3].map(n => createItem(video(`${n}.mp4`), defaultSettings)))
+    engine.start()
+    await waitFor(() => statusOf(engine).every(s => s === 'done'))
+    expect(ffmpeg.listenerCount()).toBe(2)
+
+    // progress from a later job does not touch finished items
+    const progress = engine.getItems().map(it => it.progress)
+    ffmpeg.emit('progress', { progress: 0.1 })
+    expect(engine.getItems().map(it => it.progress)).toEqual(progress)
+
+    engine.setWorkers([])
+    expect(ffmpeg.listenerCount()).toBe(0)
+  })
+
+  it('splits a size-targeted encode into two progress halves', async () => {
+    const ffmpeg = new MockFFmpeg({ auto: false })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), { ...defaultSettings, mode: 'target', targetMB: 5 })])
+    engine.start()
+    await waitFor(() => ffmpeg.pending.length === 1)
+    ffmpeg.emit('progress', { progress: 0.5 })
+    expect(engine.getItems()[0].progress).toBe(25)
+    ffmpeg.release()
+    await waitFor(() => ffmpeg.pending.length === 1)
+    ffmpeg.emit('progress', { progress: 0.5 })
+    expect(engine.getItems()[0].progress).toBe(75)
+    ffmpeg.release()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(ffmpeg.encodes).toHaveLength(2)
+    expect(engine.getItems()[0].targetSize).toBe(5 * 1024 * 1024)
+  })
+
+  it('marks a non-zero exit code as an error and moves on', async () => {
+    const ffmpeg = new MockFFmpeg({ exitCode: 1 })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine).every(s => s === 'error'))
+    const [a] = engine.getItems()
+    expect(a.error).toMatch(/video filter could not be set up/)
+    expect(a.log.length).toBeGreaterThan(0)
+  })
+
+  it('keeps its own error message over a matching line in the log', async () => {
+    const ffmpeg = new MockFFmpeg()
+    ffmpeg.exec = async () => {
+      ['  Stream #0:0: Audio: aac, 48000 Hz, stereo', '[mov @ 0x1] Invalid data found when processing input']
+        .forEach(message => ffmpeg.emit('log', { message }))
+      return 1
+    }
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    expect(engine.getItems()[0].error).toMatch(/^This file has no video stream/)
+  })
+
+  it('cleans up MEMFS after a failed job', async () => {
+    const ffmpeg = new MockFFmpeg({ exitCode: 1 })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    await settle()
+    expect(ffmpeg.files.size).toBe(0)
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+
+  it('cancels a running job by terminating and reloading its worker', async () => {
+    const first = new MockFFmpeg({ auto: false })
+    const reloadWorker = vi.fn()
+    engine.setOptions({ reloadWorker })
+    engine.setWorkers([slot(first)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => first.pending.length === 1)
+
+    engine.cancel(engine.getItems()[0].id)
+    await waitFor(() => reloadWorker.mock.calls.length === 1)
+    expect(first.terminated).toBe(true)
+    expect(first.listenerCount()).toBe(0)
+    expect(reloadWorker).toHaveBeenCalledWith(0)
+    expect(statusOf(engine)).toEqual(['skipped', 'queued'])
+
+    // the pool hands back a fresh instance and the queue carries on
+    const second = new MockFFmpeg()
+    engine.setWorkers([slot(second)])
+    await waitFor(() => statusOf(engine)[1] === 'done')
+    expect(statusOf(engine)).toEqual(['skipped', 'done'])
+  })
+
+  it('skips queued items without touching FFmpeg', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.cancel(engine.getItems()[0].id)
+    engine.start()
+    await settle()
+    expect(statusOf(engine)).toEqual(['skipped'])
+    expect(ffmpeg.terminated).toBe(false)
+    expect(ffmpeg.encodes).toHaveLength(0)
+  })
+
+  describe('timeouts', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('stops a job that runs past the timeout', async () => {
+      vi.useFakeTimers()
+      const ffmpeg = new MockFFmpeg({ auto: false })
+      const reloadWorker = vi.fn()
+      engine.setOptions({ reloadWorker, timeoutMin: 1 })
+      engine.setWorkers([slot(ffmpeg)])
+      engine.add([createItem(video(), defaultSettings)])
+      engine.start()
+      await vi.advanceTimersByTimeAsync(10)
+      expect(ffmpeg.pending).toHaveLength(1)
+
+      await vi.advanceTimersByTimeAsync(60 * 1000)
+      expect(ffmpeg.terminated).toBe(true)
+      expect(reloadWorker).toHaveBeenCalledWith(0)
+      const [item] = engine.getItems()
+      expect(item.status).toBe('error')
+      expect(item.error).toBe('Timed out after 1 min')
+    })
+  })
+
+  it('runs one job per worker in parallel', async () => {
+    const ran = (ffmpeg) => ffmpeg.encodes.map(args => engine.getItems().find(it => args.includes(`/in_${it.id}/input.mp4`)).name)
+    const a = new MockFFmpeg({ auto: false })
+    const b = new MockFFmpeg({ auto: false })
+    engine.setWorkers([slot(a, 0), slot(b, 1)])
+    engine.add([1, 2, 3].map(n => createItem(video(`${n}.mp4`), defaultSettings)))
+    engine.start()
+    // probes go first: a probes 1 and then 3 while b probes 2 and then starts
+    // on 1, so 2 ends up on a
+    await waitFor(() => a.pending.length === 1 && b.pending.length === 1)
+    expect(statusOf(engine)).toEqual(['processing', 'processing', 'queued'])
+    expect([ran(a), ran(b)]).toEqual([['2.mp4'], ['1.mp4']])
+
+    b.release()
+    await waitFor(() => b.pending.length === 1)
+    expect(statusOf(engine)).toEqual(['done', 'processing', 'processing'])
+    expect([ran(a), ran(b)]).toEqual([['2.mp4'], ['1.mp4', '3.mp4']])
+    a.release()
+    b.release()
+    await waitFor(() => statusOf(engine).every(s => s === 'done'))
+  })
+
+  it('stops handing out work when paused', async () => {
+    const ffmpeg = new MockFFmpeg({ auto: false })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => ffmpeg.pending.length === 1)
+    engine.pause()
+    ffmpeg.release()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    await settle()
+    expect(statusOf(engine)).toEqual(['done', 'queued'])
+  })
+
+  it('fails items that will not fit in the FFmpeg heap', async () => {
+    // two hours of 4K at 60 fps, kept at full size
+    const ffmpeg = new MockFFmpeg({
+      probe: probeLines.map(line => line
+        .replace('00:00:10.00', '02:00:00.00')
+        .replace('1280x720, 900 kb/s, 30 fps', '3840x2160, 40000 kb/s, 60 fps')),
+    })
+    engine.setWorkers([slot(ffmpeg)])
+    const item = createItem(video(), { ...defaultSettings, sizePreset: 'original' })
+    engine.add([{ ...item, file: { name: item.name, size: 4 * 1024 ** 3 } }])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    const [failed] = engine.getItems()
+    expect(failed.tooLarge.parts).toBeGreaterThan(1)
+    expect(failed.error).toMatch(/Too large for browser memory/)
+    expect(ffmpeg.encodes).toHaveLength(0)
+  })
+
+  it('only changes status through transitions', () => {
+    const item = createItem(video(), defaultSettings)
+    engine.add([item])
+    engine.update(item.id, { status: 'done', name: 'renamed.mp4' })
+    expect(engine.getItems()[0]).toMatchObject({ status: 'queued', name: 'renamed.mp4' })
+  })
+
+  it('keeps processing items when removing', async () => {
+    const ffmpeg = new MockFFmpeg({ auto: false })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => ffmpeg.pending.length === 1)
+    engine.remove(engine.getItems().map(it => it.id))
+    expect(engine.getItems().map(it => it.name)).toEqual(['a.mp4'])
+  })
+
+  it('restores saved items ahead of new ones', () => {
+    const added = createItem(video('new.mp4'), defaultSettings)
+    const saved = createItem(video('saved.mp4'), defaultSettings)
+    engine.add([added])
+    engine.restore([saved])
+    engine.restore([saved])
+    expect(engine.getItems().map(it => it.name)).toEqual(['saved.mp4', 'new.mp4'])
+  })
+})
+
+describe('queue management', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = createJobQueue()
+  })
+
+  const names = () => engine.getItems().map(it => it.name)
+  const addNamed = (...list) => {
+    const added = list.map(n => createItem(video(n), defaultSettings))
+    engine.add(added)
+    return added
+  }
+
+  it('moves items to a new position', () => {
+    const [a, , c] = addNamed('a', 'b', 'c')
+    engine.move(c.id, 0)
+    expect(names()).toEqual(['c', 'a', 'b'])
+    engine.move(c.id, 2)
+    expect(names()).toEqual(['a', 'b', 'c'])
+    engine.move(a.id, 99)
+    expect(names()).toEqual(['b', 'c', 'a'])
+  })
+
+  it('puts a queued item ahead of the other queued items', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    const [a, , c] = addNamed('a.mp4', 'b.mp4', 'c.mp4')
+    engine.cancel(a.id)
+    engine.processNext(c.id)
+    expect(names()).toEqual(['a.mp4', 'c.mp4', 'b.mp4'])
+
+    const started = []
+    engine.on('status', ({ item, to }) => to === 'processing' && started.push(item.name))
+    engine.start()
+    await waitFor(() => statusOf(engine).filter(st => st === 'done').length === 2)
+    expect(started).toEqual(['c.mp4', 'b.mp4'])
+  })
+
+  it('retries errored and skipped items', async () => {
+    const ffmpeg = new MockFFmpeg({ exitCode: 1 })
+    engine.setWorkers([slot(ffmpeg)])
+    const [a, b] = addNamed('a.mp4', 'b.mp4')
+    engine.cancel(b.id)
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+
+    ffmpeg.exitCode = 0
+    engine.update(a.id, { settings: { ...defaultSettings, crf: 30 } })
+    engine.retry(a.id)
+    engine.retry(b.id)
+    await waitFor(() => statusOf(engine).every(st => st === 'done'))
+    expect(engine.getItems()[0].error).toBeNull()
+    expect(ffmpeg.encodes.at(-2)).toContain('30')
+  })
+
+  it('does not retry finished items', () => {
+    const [a] = addNamed('a.mp4')
+    engine.retry(a.id)
+    expect(statusOf(engine)).toEqual(['queued'])
+  })
+
+  it('revokes object URLs of removed and replaced items', () => {
+    const revoke = vi.spyOn(URL, 'revokeObjectURL')
+    try {
+      const [a, b] = addNamed('a.mp4', 'b.mp4')
+      engine.update(a.id, { outputUrl: 'blob:output-a' })
+      engine.remove([a.id])
+      expect(revoke).toHaveBeenCalledWith(a.inputUrl)
+      expect(revoke).toHaveBeenCalledWith('blob:output-a')
+
+      engine.replace(b.id, splitItem({ ...b, inputInfo: { duration: 10 } }, 2))
+      expect(revoke).toHaveBeenCalledWith(b.inputUrl)
+      expect(names()).toEqual(['b (part 1 of 2).mp4', 'b (part 2 of 2).mp4'])
+    } finally {
+      revoke.mockRestore()
+    }
+  })
+})
+
+describe('findDuplicates', () => {
+  const file = (name, size, lastModified) => new File([new Uint8Array(size)], name, { lastModified })
+
+  it('matches name, size and modification time', () => {
+    const queued = [createItem(file('a.mp4', 10, 1), defaultSettings)]
+    const { fresh, duplicates } = findDuplicates([
+      file('a.mp4', 10, 1),
+      file('a.mp4', 11, 1),
+      file('a.mp4', 10, 2),
+      file('b.mp4', 10, 1),
+    ], queued)
+    expect(duplicates).toHaveLength(1)
+    expect(fresh.map(f => [f.name, f.size, f.lastModified])).toEqual([['a.mp4', 11, 1], ['a.mp4', 10, 2], ['b.mp4', 10, 1]])
+  })
+
+  it('catches the same file twice in one drop', () => {
+    const { fresh, duplicates } = findDuplicates([file('a.mp4', 10, 1), file('a.mp4', 10, 1)], [])
+    expect(fresh).toHaveLength(1)
+    expect(duplicates).toHaveLength(1)
+  })
+
+  it('recognises restored items by their saved fields', () => {
+    const restored = { id: 'x', name: 'a.mp4', inputSize: 10, lastModified: 1, file: null }
+    expect(findDuplicates([file('a.mp4', 10, 1)], [restored]).duplicates).toHaveLength(1)
+  })
+})
+
+describe('server offload', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = createJobQueue()
+  })
+
+  it('hands large inputs to the server and probes the result', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = vi.fn(async (item, { onProgress }) => {
+      onProgress(0.5)
+      return new Blob([new Uint8Array(500)])
+    })
+    engine.setOptions({ offload: { minBytes: 50, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+
+    const [item] = engine.getItems()
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(ffmpeg.encodes).toHaveLength(0)
+    expect(item).toMatchObject({ offloaded: true, outputSize: 500, outputExt: 'mp4' })
+    expect(item.outputBlob.type).toBe('video/mp4')
+    expect(item.outputInfo.video.codec).toBe('h264')
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+
+  it('keeps small inputs in the browser', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = vi.fn()
+    engine.setOptions({ offload: { minBytes: 1024, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(run).not.toHaveBeenCalled()
+    expect(ffmpeg.encodes).toHaveLength(1)
+  })
+
+  it('falls back to the browser when the server is unreachable', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = vi.fn().mockRejectedValue(new BackendUnavailable('The compression server is not reachable'))
+    engine.setOptions({ offload: { minBytes: 0, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+
+    const [item] = engine.getItems()
+    expect(ffmpeg.encodes).toHaveLength(1)
+    expect(item.offloaded).toBe(false)
+    expect(item.offloadNote).toMatch(/not reachable, so it was compressed in the browser/)
+  })
+
+  it('reports server-side failures without falling back', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = vi.fn().mockRejectedValue(new Error('Unsupported codec'))
+    engine.setOptions({ offload: { minBytes: 0, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    expect(ffmpeg.encodes).toHaveLength(0)
+  })
+
+  it('cancels a server job without restarting the worker', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const reloadWorker = vi.fn()
+    const run = vi.fn((item, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+    engine.setOptions({ reloadWorker, offload: { minBytes: 0, maxJobs: 1, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('a.mp4'), defaultSettings), createItem(video('b.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => run.mock.calls.length === 1)
+
+    engine.cancel(engine.getItems()[0].id)
+    await waitFor(() => run.mock.calls.length === 2)
+    expect(run.mock.calls[0][1].signal.aborted).toBe(true)
+    expect(ffmpeg.terminated).toBe(false)
+    expect(reloadWorker).not.toHaveBeenCalled()
+    expect(statusOf(engine)).toEqual(['skipped', 'processing'])
+  })
+
+  // a server reply the test hands out with `finish()`
+  const heldRun = () => {
+    const held = []
+    const run = vi.fn(() => new Promise(resolve => held.push(resolve)))
+    run.finish = () => held.shift()(new Blob([new Uint8Array(500)]))
+    return run
+  }
+
+  it('lends the worker to local jobs while the server compresses', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = heldRun()
+    engine.setOptions({ offload: { minBytes: 1000, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('large.mp4', 2000), defaultSettings), createItem(video('small.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[1] === 'done')
+    expect(statusOf(engine)).toEqual(['processing', 'done'])
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(ffmpeg.encodes).toHaveLength(1)
+    expect(engine.isBusy()).toBe(false)
+
+    // the output is probed on the worker once the server is done
+    run.finish()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(engine.getItems()[0].outputInfo.video.codec).toBe('h264')
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+
+  it('keeps at most maxJobs jobs on the server', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const run = heldRun()
+    engine.setOptions({ offload: { minBytes: 0, maxJobs: 1, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([1, 2].map(n => createItem(video(`${n}.mp4`), defaultSettings)))
+    engine.start()
+    await waitFor(() => run.mock.calls.length === 1)
+    await settle()
+    expect(run).toHaveBeenCalledTimes(1)
+    expect(statusOf(engine)).toEqual(['processing', 'queued'])
+
+    run.finish()
+    await waitFor(() => run.mock.calls.length === 2)
+    run.finish()
+    await waitFor(() => statusOf(engine).every(s => s === 'done'))
+  })
+
+  it('cancels a job that waits for a worker after the server', async () => {
+    const ffmpeg = new MockFFmpeg({ auto: false })
+    const run = heldRun()
+    engine.setOptions({ offload: { minBytes: 1000, run } })
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video('large.mp4', 2000), defaultSettings), createItem(video('small.mp4'), defaultSettings)])
+    engine.start()
+    await waitFor(() => ffmpeg.pending.length === 1)
+    run.finish()
+    await settle()
+    expect(statusOf(engine)).toEqual(['processing', 'processing'])
+
+    engine.cancel(engine.getItems()[0].id)
+    ffmpeg.release()
+    await waitFor(() => statusOf(engine)[1] === 'done')
+    await settle()
+    expect(statusOf(engine)).toEqual(['skipped', 'done'])
+    expect(ffmpeg.terminated).toBe(false)
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+})
+
+describe('extra images', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = createJobQueue()
+  })
+
+  const withImages = { ...defaultSettings, poster: 'auto', contactSheet: true }
+
+  it('cuts the requested images from the compressed output', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    const item = createItem(video(), withImages)
+    engine.add([item])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    await settle()
+
+    const [done] = engine.getItems()
+    expect(done.extras.map(e => [e.kind, e.ext, e.size])).toEqual([['poster', 'jpg', 1000], ['sheet', 'jpg', 1000]])
+    expect(done.extras[0].blob.type).toBe('image/jpeg')
+    expect(done.extrasNote).toBeNull()
+    const [, poster, sheet] = ffmpeg.encodes
+    expect(poster).toContain(`out_${item.id}.mp4`)
+    expect(sheet.at(-1)).toBe(`extra_${item.id}_sheet.jpg`)
+    expect(ffmpeg.files.size).toBe(0)
+  })
+
+  it('notes a failed image without failing the video', async () => {
+    const ffmpeg = new MockFFmpeg()
+    const exec = ffmpeg.exec.bind(ffmpeg)
+    ffmpeg.exec = (args) => args.includes('thumbnail=100') ? Promise.resolve(1) : exec(args)
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), withImages)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+
+    const [done] = engine.getItems()
+    expect(done.extras.map(e => e.kind)).toEqual(['sheet'])
+    expect(done.extrasNote).toBe('Could not create the poster; see the log.')
+  })
+
+  it('skips images for audio and GIF outputs', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), { ...withImages, formatId: 'gif' })])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(ffmpeg.encodes).toHaveLength(1)
+    expect(engine.getItems()[0].extras).toEqual([])
+  })
+
+  it('uses the server output as the source', async () => {
+    const ffmpeg = new MockFFmpeg()
+    engine.setOptions({ offload: { minBytes: 0, run: async () => new Blob([new Uint8Array(500)]) } })
+    engine.setWorkers([slot(ffmpeg)])
+    const item = createItem(video(), { ...defaultSettings, poster: 'time' })
+    engine.add([item])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(ffmpeg.encodes).toHaveLength(1)
+    expect(ffmpeg.encodes[0]).toContain(`/out_${item.id}/output.mp4`)
+    expect(engine.getItems()[0].extras).toHaveLength(1)
+  })
+})
+
+describe('overlays', () => {
+  const loadFont = async () => new Blob([new Uint8Array(10)])
+  const watermarkId = 'a'.repeat(64)
+  const loadWatermark = async (id) => id === watermarkId ? new Blob([new Uint8Array(3)], { type: 'image/png' }) : null
+  const branded = {
+    ...defaultSettings,
+    watermarkId,
+    overlayText: '{filename}',
+    burnSubtitles: true,
+  }
+  const withSubtitles = (settings) => createItem(video(), settings, { subtitleFile: new File(['1'], 'clip.SRT') })
+
+  it('mounts the overlay files for the encode and removes them after', async () => {
+    const engine = createJobQueue({ loadFont, loadWatermark })
+    const ffmpeg = new MockFFmpeg()
+    const mounted = []
+    const mount = ffmpeg.mount.bind(ffmpeg)
+    ffmpeg.mount = async (type, opts, dir) => {
+      mounted.push(...opts.blobs.map(b => `${dir}/${b.name}`))
+      return mount(type, opts, dir)
+    }
+    engine.setWorkers([slot(ffmpeg)])
+    const item = withSubtitles(branded)
+    engine.add([item])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    await settle()
+
+    expect(mounted).toEqual(expect.arrayContaining([
+      `/font_${item.id}/font.ttf`, `/wm_${item.id}/watermark.png`, `/text_${item.id}/text.txt`, `/sub_${item.id}/subtitles.srt`,
+    ]))
+    const [args] = ffmpeg.encodes
+    const vf = args[args.indexOf('-vf') + 1]
+    expect(vf).toContain(`movie=/wm_${item.id}/watermark.png`)
+    expect(vf).toContain(`textfile=/text_${item.id}/text.txt`)
+    expect(vf).toContain(`subtitles=/sub_${item.id}/subtitles.srt`)
+    expect(ffmpeg.files.size).toBe(0)
+    expect(ffmpeg.dirs.size).toBe(0)
+  })
+
+  it('fails text overlays when no font can be loaded', async () => {
+    const engine = createJobQueue()
+    engine.setWorkers([slot(new MockFFmpeg())])
+    engine.add([createItem(video(), { ...defaultSettings, overlayText: 'hi' })])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    expect(engine.getItems()[0].error).toMatch(/need a font/)
+  })
+
+  it('fails watermarks whose image is not stored', async () => {
+    const engine = createJobQueue({ loadWatermark })
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), { ...defaultSettings, watermarkId: 'b'.repeat(64) })])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'error')
+    expect(engine.getItems()[0].error).toMatch(/^The watermark image is not stored in this browser/)
+    expect(ffmpeg.encodes).toHaveLength(0)
+  })
+
+  it('keeps items with overlays off the server', async () => {
+    const run = vi.fn()
+    const engine = createJobQueue({ loadFont, loadWatermark, offload: { minBytes: 0, run } })
+    const ffmpeg = new MockFFmpeg()
+    engine.setWorkers([slot(ffmpeg)])
+    engine.add([createItem(video(), branded)])
+    engine.start()
+    await waitFor(() => statusOf(engine)[0] === 'done')
+    expect(run).not.toHaveBeenCalled()
+    expect(ffmpeg.encodes).toHaveLength(1)
+    expect(engine.getItems()[0].offloadNote).toMatch(/Overlays are drawn in the browser/)
+  })
+})
+
+describe('splitItem', () => {
+  it('covers the trimmed range in consecutive parts', () => {
+    const item = {
+      ...createItem(video('clip.mp4'), defaultSettings),
+      inputInfo: { duration: 90 },
+      edits: { start: 30, end: null },
+      status: 'error',
+    }
+    const parts = splitItem(item, 3)
+    expect(parts.map(p => p.name)).toEqual(['clip (part 1 of 3).mp4', 'clip (part 2 of 3).mp4', 'clip (part 3 of 3).mp4'])
+    expect(parts.map(p => [p.edits.start, p.edits.end])).toEqual([[30, 50], [50, 70], [70, null]])
+    expect(parts.every(p => p.status === 'queued')).toBe(true)
+    expect(new Set(parts.map(p => p.id)).size).toBe(3)
+  })
+
+  it('keeps the subtitle file on every part', () => {
+    const subtitleFile = new File(['1'], 'clip.srt')
+    const item = { ...createItem(video('clip.mp4'), defaultSettings, { subtitleFile }), inputInfo: { duration: 60 } }
+    expect(splitItem(item, 2).every(p => p.subtitleFile === subtitleFile)).toBe(true)
+  })
+})
@@ -0,0 +1,114 @@
+const MB = 1024 * 1024
+
+export const formatBytes = (bytes) => {
+  if (bytes == null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < MB) return `${(bytes / 1024).toFixed(1)} KB`
+  if (bytes < 1024 * MB) return `${(bytes / MB).toFixed(1)} MB`
+  return `${(bytes / MB / 1024).toFixed(2)} GB`
+}
+
+export const megabytes = (mb) => mb * MB
+
+// "Duration: 00:01:23.45, start: ..." as printed by `ffmpeg -i`
+export const parseDuration = (lines) => {
+  for (const line of lines) {
+    const m = line.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/)
+    if (m) return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3])
+  }
+  return null
+}
+
+/**
+ * Summarises the stream listing `ffmpeg -i` prints, roughly what ffprobe
+ * would report: `{ duration, kbps, video, audio }`. `video` is the first video
+ * stream (`{ codec, width, height, fps }`) or null; `audio` lists every audio
+ * stream as `{ index, codec, channels, sampleRate, language }`, where `index`
+ * counts audio streams only (as in `-map 0:a:<index>`).
+ */
+export const parseProbe = (lines) => {
+  const info = { duration: parseDuration(lines), kbps: null, video: null, audio: [] }
+  for (const line of lines) {
+    const rate = line.match(/Duration:.*bitrate:\s*(\d+)\s*kb\/s/)
+    if (rate) info.kbps = Number(rate[1])
+    const stream = line.match(/Stream #\d+:\d+(?:\[\w+\])?(?:\((\w+)\))?:\s*(Video|Audio):\s*(\w+)(.*)/)
+    if (!stream) continue
+    const [, language, type, codec, rest] = stream
+    if (type === 'Video' && !info.video) {
+      const size = rest.match(/\b(\d{2,5})x(\d{2,5})\b/)
+      const fps = rest.match(/([\d.]+)\s*fps/)
+      info.video = {
+        codec,
+        width: size ? Number(size[1]) : null,
+        height: size ? Number(size[2]) : null,
+        fps: fps ? Number(fps[1]) : null,
+      }
+    } else if (type === 'Audio') {
+      const hz = rest.match(/(\d+)\s*Hz/)
+      const layout = rest.match(/Hz,\s*([^,]+)/)
+      info.audio.push({
+        index: info.audio.length,
+        codec,
+        channels: layout ? layout[1].trim() : null,
+        sampleRate: hz ? Number(hz[1]) : null,
+        language: language && language !== 'und' ? language : null,
+      })
+    }
+  }
+  return info
+}
+
+// "Track 2: deu · aac · mono" for the audio track picker
+export const describeAudioStream = (stream) =>
+  `Track ${stream.index + 1}: ${[stream.language, stream.codec, stream.channels].filter(Boolean).join(' · ')}`
+
+// "h264 1920×1080 · 5.2 Mb/s · 1:23"
+export const describeProbe = (info) => {
+  if (!info) return ''
+  const parts = []
+  if (info.video) {
+    parts.push(info.video.width ? `${info.video.codec} ${info.video.width}×${info.video.height}` : info.video.codec)
+  } else if (info.audio.length) {
+    parts.push(info.audio[0].codec)
+  }
+  if (info.kbps) parts.push(info.kbps >= 1000 ? `${(info.kbps / 1000).toFixed(1)} Mb/s` : `${info.kbps} kb/s`)
+  if (info.duration != null) {
+    const s = Math.round(info.duration)
+    parts.push(`${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`)
+  }
+  return parts.join(' · ')
+}
+
+// " V....D libx264   libx264 H.264 / AVC ..." rows from `ffmpeg -encoders`
+export const parseEncoders = (lines) => {
+  const encoders = new Set()
+  for (const line of lines) {
+    const m = line.match(/^\s*[VAS][F.][S.][X.][B.][D.]\s+([\w-]+)/)
+    if (m) encoders.add(m[1])
+  }
+  return encoders
+}
+
+// Runs a command and collects everything it logs. Used for listings whose
+// exit code does not matter.
+const captureLog = async (ffmpeg, args) => {
+  const lines = []
+  const onLog = ({ message }) => lines.push(message)
+  ffmpeg.on('log', onLog)
+  try {
+    await ffmpeg.exec(args)
+  } finally {
+    ffmpeg.off('log', onLog)
+  }
+  return lines
+}
+
+export const listEncoders = async (ffmpeg) => parseEncoders(await captureLog(ffmpeg, ['-hide_banner', '-encoders']))
+
+// Video bitrate (kbps) that fits `targetBytes` once audio and ~3% container
+// overhead are taken out. Returns null when the audio alone would not fit.
+export const targetVideoKbps = (targetBytes, durationSec, audioKbps) => {
+  const totalKbps = (targetBytes * 8 * 0.97) / 1000 / durationSec
+  const videoKbps = Math.floor(totalKbps - audioKbps)
+  return videoKbps >= 50 ? videoKbps : null
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest'
+import { describeProbe, parseDuration, parseProbe, targetVideoKbps } from './media'
+
+const MB = 1024 * 1024
+
+describe('targetVideoKbps', () => {
+  it.each([
+    // bytes, seconds, audio kbps, video kbps
+    [10 * MB, 60, 128, 1228],
+    [10 * MB, 120, 128, 550],
+    [10 * MB, 60, 0, 1356],
+    [MB, 120, 0, 67],
+  ])('fits %i bytes in %i s with %i kbps audio', (bytes, seconds, audioKbps, expected) => {
+    expect(targetVideoKbps(bytes, seconds, audioKbps)).toBe(expected)
+  })
+
+  it('keeps 3% for the container', () => {
+    const kbps = targetVideoKbps(100 * MB, 100, 0)
+    expect(kbps * 1000 * 100 / 8).toBeLessThan(100 * MB * 0.97)
+    expect(kbps * 1000 * 100 / 8).toBeGreaterThan(100 * MB * 0.96)
+  })
+
+  it('gives up below 50 kbps of video', () => {
+    // 178 kbps in total leaves exactly 50 for the video
+    expect(targetVideoKbps(1376289, 60, 128)).toBe(50)
+    expect(targetVideoKbps(1376288, 60, 128)).toBeNull()
+    expect(targetVideoKbps(MB, 60, 128)).toBeNull()
+  })
+})
+
+describe('parseProbe', () => {
+  const listing = [
+    "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'input.mp4':",
+    '  Duration: 01:02:03.50, start: 0.000000, bitrate: 5234 kb/s',
+    '  Stream #0:0[0x1](und): Video: h264 (High) (avc1 / 0x31637661), yuv420p(tv, bt709, progressive), 1920x1080 [SAR 1:1 DAR 16:9], 5000 kb/s, 29.97 fps, 29.97 tbr, 30k tbn (default)',
+    '  Stream #0:1[0x2](eng): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 192 kb/s (default)',
+    '  Stream #0:2[0x3](deu): Audio: ac3, 44100 Hz, 5.1(side), fltp, 384 kb/s',
+    '  Stream #0:3[0x4](und): Video: mjpeg (Baseline), yuvj420p, 320x180, 90k tbr (attached pic)',
+    'At least one output file must be specified',
+  ]
+
+  it('reads duration, bitrate and the first video stream', () => {
+    const info = parseProbe(listing)
+    expect(info.duration).toBeCloseTo(3723.5)
+    expect(info.kbps).toBe(5234)
+    expect(info.video).toEqual({ codec: 'h264', width: 1920, height: 1080, fps: 29.97 })
+  })
+
+  it('lists every audio stream with its own index', () => {
+    expect(parseProbe(listing).audio).toEqual([
+      { index: 0, codec: 'aac', channels: 'stereo', sampleRate: 48000, language: 'eng' },
+      { index: 1, codec: 'ac3', channels: '5.1(side)', sampleRate: 44100, language: 'deu' },
+    ])
+  })
+
+  it.each([
+    ['audio only', ['  Duration: 00:03:00.00, start: 0.000000, bitrate: 128 kb/s', '  Stream #0:0: Audio: mp3, 44100 Hz, mono, fltp, 128 kb/s'],
+      { duration: 180, kbps: 128, video: null, audio: [{ index: 0, codec: 'mp3', channels: 'mono', sampleRate: 44100, language: null }] }],
+    ['no duration or bitrate', ['  Duration: N/A, bitrate: N/A', '  Stream #0:0: Video: vp9, yuv420p, 640x360'],
+      { duration: null, kbps: null, video: { codec: 'vp9', width: 640, height: 360, fps: null }, audio: [] }],
+    ['not a video', ['input.txt: Invalid data found when processing input'],
+      { duration: null, kbps: null, video: null, audio: [] }],
+  ])('handles %s', (_, lines, expected) => {
+    expect(parseProbe(lines)).toEqual(expected)
+  })
+})
+
+describe('parseDuration', () => {
+  it.each([
+    ['  Duration: 00:00:10.00, start: 0.000000', 10],
+    ['  Duration: 00:01:05.25, start: 0.000000', 65.25],
+    ['  Duration: 02:00:00, start: 0.000000', 7200],
+    ['  Duration: N/A, bitrate: N/A', null],
+  ])('reads %j', (line, expected) => {
+    expect(parseDuration([line])).toBe(expected)
+  })
+})
+
+describe('describeProbe', () => {
+  it('summarises video, bitrate and length', () => {
+    expect(describeProbe(parseProbe([
+      '  Duration: 00:01:23.40, start: 0.000000, bitrate: 5200 kb/s',
+      '  Stream #0:0: Video: h264 (High), yuv420p, 1920x1080, 30 fps',
+    ]))).toBe('h264 1920×1080 · 5.2 Mb/s · 1:23')
+    expect(describeProbe(null)).toBe('')
+  })
+})
@@ -0,0 +1,88 @@
+import { editedDuration } from './edits'
+import { getFormat } from './formats'
+import { formatBytes, megabytes } from './media'
+import { outputFrame } from './overlays'
+import { audioBitrate, getScale, isTargetMode, keepsAudio } from './settings'
+
+const MB = 1024 * 1024
+const GB = 1024 * MB
+
+// Largest wasm heap each core can use: the single-threaded build grows up to
+// 2 GB, the threaded build has a fixed 1 GB heap.
+export const heapLimit = (multiThread) => multiThread ? 1 * GB : 2 * GB
+
+// Every pool instance has a heap of its own, so more parallel jobs than this
+// are never offered, and more than WARN_POOL_SIZE come with a warning.
+export const MAX_POOL_SIZE = 4
+export const WARN_POOL_SIZE = 2
+
+/**
+ * How many FFmpeg instances to offer: MAX_POOL_SIZE, or fewer when their
+ * heaps would take more than half of `navigator.deviceMemory` (in GB, only
+ * reported by some browsers).
+ */
+export const maxPoolSize = (multiThread, deviceMemoryGB = globalThis.navigator?.deviceMemory) => {
+  if (!deviceMemoryGB) return MAX_POOL_SIZE
+  const fits = Math.floor((deviceMemoryGB * GB) / 2 / heapLimit(multiThread))
+  return Math.max(1, Math.min(MAX_POOL_SIZE, fits))
+}
+
+// Decoder, encoder and filter buffers for up to ~1080p, with some headroom.
+const WORKING_SET = 400 * MB
+
+// Bits per pixel and frame that CRF output stays under: grainy 1080p at
+// CRF 18 comes to about 0.2, and x264 halves its bitrate every 6 CRF steps.
+const crfBitsPerPixel = (crf) => 0.2 * 2 ** ((18 - crf) / 6)
+// A GIF frame is at most one 8-bit palette index per pixel; the filter
+// chain resamples to 12 fps.
+const GIF_BITS_PER_PIXEL = 8
+const GIF_FPS = 12
+
+/**
+ * Upper bound for the encoded file in bytes, or null when the input's
+ * duration or frame size is unknown. Inputs are mounted with WORKERFS and
+ * never enter the heap, but the output is written to MEMFS and has to fit
+ * there.
+ */
+export const estimateOutputBytes = (item, info) => {
+  const { settings } = item
+  const total = info?.duration
+  const kept = editedDuration(item.edits, total)
+  const format = getFormat(settings.formatId)
+  if (format.kind === 'audio') return kept != null ? (kept * audioBitrate(settings) * 1000 / 8) * 1.1 : null
+  if (isTargetMode(settings)) return megabytes(settings.targetMB) * 1.1
+  const frame = outputFrame(info, item.edits, getScale(settings))
+  if (kept == null || !frame) return null
+  const pixels = frame.width * frame.height
+  // the frames of the kept input range, whatever the speed
+  const frames = format.kind === 'gif' ? kept * GIF_FPS : kept * (item.edits?.speed ?? 1) * (info.video.fps || 30)
+  const audio = keepsAudio(settings) && info.audio?.length ? kept * audioBitrate(settings) * 1000 : 0
+  const bits = pixels * frames * (format.kind === 'gif' ? GIF_BITS_PER_PIXEL : crfBitsPerPixel(settings.crf)) + audio
+  // GIFs, and high-quality re-encodes of efficient sources, can outgrow the input
+  const fromInput = item.file.size * Math.min(1, kept / total) * (format.kind === 'gif' ? 3 : 1.2)
+  return Math.min(bits / 8 * 1.1, fromInput)
+}
+
+/**
+ * Null when the job should fit in the FFmpeg heap, or its size cannot be
+ * told before encoding (an out-of-memory abort is then explained from the
+ * log). Otherwise `{ message, parts }`, where `parts` is how many time ranges
+ * it would need, or null in target mode: every part would keep the same
+ * target size.
+ */
+export const checkMemory = (item, info, multiThread) => {
+  const limit = heapLimit(multiThread)
+  const output = estimateOutputBytes(item, info)
+  if (output == null || output + WORKING_SET <= limit) return null
+  const core = multiThread ? 'multi-threaded' : 'single-threaded'
+  const tooLarge = `Too large for browser memory: the output could need about ${formatBytes(output + WORKING_SET)} ` +
+    `but the ${core} FFmpeg core is limited to ${formatBytes(limit)}.`
+  if (isTargetMode(item.settings)) {
+    return { parts: null, message: `${tooLarge} Use a target size under ${formatBytes(limit - WORKING_SET)}.` }
+  }
+  const parts = Math.ceil(output / (limit - WORKING_SET))
+  return {
+    parts,
+    message: `${tooLarge} Split it into ${parts} shorter parts by time range, lower the max size or quality, or use a target file size.`,
+  }
+}
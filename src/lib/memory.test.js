@@ -0,0 +1,115 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { checkMemory, estimateOutputBytes, heapLimit, MAX_POOL_SIZE, maxPoolSize } from './memory'
+import { defaultSettings } from './settings'
+
+const MB = 1024 * 1024
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+const info = { duration: 100, video: { width: 1920, height: 1080, fps: 30 }, audio: [{ codec: 'aac' }] }
+const item = (sizeMB, settings = {}, edits = null) => ({
+  file: { size: sizeMB * MB },
+  settings: { ...defaultSettings, ...settings },
+  edits,
+})
+
+describe('estimateOutputBytes', () => {
+  // 1280x720 at 30 fps for 100 s, 0.1 bits per pixel at CRF 24, plus 128 kbps audio, +10%
+  const at720 = (1280 * 720 * 3000 * 0.1 + 128000 * 100) / 8 * 1.1
+
+  it.each([
+    ['a CRF re-encode at its scaled size', item(3000), at720],
+    ['a higher quality', item(3000, { crf: 18 }), (1280 * 720 * 3000 * 0.2 + 128000 * 100) / 8 * 1.1],
+    ['a lower quality', item(3000, { crf: 30 }), (1280 * 720 * 3000 * 0.05 + 128000 * 100) / 8 * 1.1],
+    ['the original size', item(3000, { sizePreset: 'original' }), (1920 * 1080 * 3000 * 0.1 + 128000 * 100) / 8 * 1.1],
+    ['a trimmed re-encode', item(3000, {}, { start: 25, end: 75 }), at720 / 2],
+    ['a sped-up re-encode, which keeps every frame', item(3000, {}, { speed: 2 }), (1280 * 720 * 3000 * 0.1 + 128000 * 50) / 8 * 1.1],
+    ['a video without audio', item(3000, { stripAudio: true }), 1280 * 720 * 3000 * 0.1 / 8 * 1.1],
+    ['a small input', item(20), 24 * MB],
+    ['a GIF', item(3000, { formatId: 'gif' }), 1280 * 720 * 1200 * 8 / 8 * 1.1],
+    ['a target size', item(3000, { mode: 'target', targetMB: 10 }), 11 * MB],
+    ['audio only', item(3000, { formatId: 'mp3', audioKbps: 128 }), 100 * 128000 / 8 * 1.1],
+  ])('bounds %s', (_, job, expected) => {
+    expect(estimateOutputBytes(job, info)).toBeCloseTo(expected, 0)
+  })
+
+  it('cannot bound inputs of unknown length or frame size', () => {
+    expect(estimateOutputBytes(item(3000), { ...info, duration: null })).toBeNull()
+    expect(estimateOutputBytes(item(3000), { ...info, video: { codec: 'h264' } })).toBeNull()
+    expect(estimateOutputBytes(item(3000, { formatId: 'mp3' }), { ...info, duration: null })).toBeNull()
+    expect(estimateOutputBytes(item(3000, { mode: 'target', targetMB: 10 }), null)).toBe(11 * MB)
+  })
+})
+
+describe('checkMemory', () => {
+  const long = (seconds, video = info.video) => ({ ...info, duration: seconds, video })
+  const uhd = { width: 3840, height: 2160, fps: 60 }
+
+  // the output plus 400 MB of working set has to fit the heap
+  it.each([
+    ['a 3 GB, 17 minute 1080p input at 720p', null, true, item(3000), long(1000)],
+    ['a 6 GB hour of 1080p at 720p', 3, true, item(6000), long(3600)],
+    ['the same on the single-threaded core', null, false, item(6000), long(3600)],
+    ['20 minutes of 4K60 kept at full size', 6, false, item(8000, { sizePreset: 'original', crf: 18 }), long(1200, uhd)],
+  ])('%s needs %s parts', (_, parts, multiThread, job, probed) => {
+    expect(checkMemory(job, probed, multiThread)?.parts ?? null).toBe(parts)
+  })
+
+  it('explains the limit and suggests splitting', () => {
+    const { message } = checkMemory(item(6000), long(3600), true)
+    expect(message).toMatch(/^Too large for browser memory: .* multi-threaded FFmpeg core is limited to 1.00 GB\. Split it into 3 shorter parts by time range, lower the max size or quality, or use a target file size\.$/)
+  })
+
+  it('only counts the part of the input that is kept', () => {
+    expect(checkMemory(item(6000), long(3600), true)).not.toBeNull()
+    expect(checkMemory(item(6000, {}, { start: 0, end: 600 }), long(3600), true)).toBeNull()
+  })
+
+  it('suggests a smaller target instead of parts in target mode', () => {
+    const tooLarge = checkMemory(item(3000, { mode: 'target', targetMB: 900 }), info, true)
+    expect(tooLarge.parts).toBeNull()
+    expect(tooLarge.message).toMatch(/Use a target size under 624\.0 MB\.$/)
+    expect(checkMemory(item(3000, { mode: 'target', targetMB: 500 }), info, true)).toBeNull()
+  })
+
+  it('leaves inputs it cannot measure to the encode', () => {
+    expect(checkMemory(item(20000), { ...info, duration: null }, true)).toBeNull()
+  })
+
+  it('uses the fixed heap limits, whatever the browser reports about memory', () => {
+    vi.stubGlobal('performance', { ...performance, memory: undefined })
+    vi.stubGlobal('navigator', {})
+    expect(heapLimit(true)).toBe(1024 * MB)
+    expect(heapLimit(false)).toBe(2048 * MB)
+    expect(checkMemory(item(6000), long(3600), true)?.parts).toBe(3)
+  })
+})
+
+describe('maxPoolSize', () => {
+  it.each([
+    // multi-threaded, device memory in GB, instances
+    [true, 8, 4],
+    [true, 4, 2],
+    [true, 2, 1],
+    [true, 0.5, 1],
+    [false, 8, 2],
+    [false, 4, 1],
+  ])('offers multiThread=%s with %s GB up to %i instances', (multiThread, gb, expected) => {
+    expect(maxPoolSize(multiThread, gb)).toBe(expected)
+  })
+
+  it('falls back to the fixed cap when the device memory is unknown', () => {
+    expect(maxPoolSize(true, undefined)).toBe(MAX_POOL_SIZE)
+    expect(maxPoolSize(false, null)).toBe(MAX_POOL_SIZE)
+  })
+
+  it('reads navigator.deviceMemory when there is one', () => {
+    vi.stubGlobal('navigator', { deviceMemory: 2 })
+    expect(maxPoolSize(true)).toBe(1)
+    vi.stubGlobal('navigator', {})
+    expect(maxPoolSize(true)).toBe(MAX_POOL_SIZE)
+    vi.stubGlobal('navigator', undefined)
+    expect(maxPoolSize(true)).toBe(MAX_POOL_SIZE)
+  })
+})
@@ -0,0 +1,63 @@
+import { getFormat } from './formats'
+import { isTargetMode, sizePresets } from './settings'
+
+export const defaultNameTemplate = '{name}-compressed'
+
+export const nameTokens = [
+  { token: '{name}', help: 'original file name without extension' },
+  { token: '{preset}', help: 'speed preset' },
+  { token: '{crf}', help: 'CRF, or the target size in target mode' },
+  { token: '{res}', help: 'output resolution, e.g. 1280x720' },
+  { token: '{format}', help: 'output format' },
+  { token: '{date}', help: 'finish date, YYYY-MM-DD' },
+]
+
+const baseName = (name) => name.replace(/\.[^.]+$/, '')
+
+// Characters that are invalid in file names on at least one common OS.
+const sanitize = (name) => name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').replace(/^\.+/, '').trim() || 'video'
+
+/** The file an item exports: its output, or the input when the original was kept. */
+export const exportFor = (item) => item.keptOriginal && item.file
+  ? { blob: item.file, ext: item.name.match(/\.([^.]+)$/)?.[1] ?? 'mp4', kept: true }
+  : { blob: item.outputBlob, ext: item.outputExt, kept: false }
+
+/** Expands `template` for a finished item and appends the output extension. */
+export const outputName = (template, item, date = new Date()) => {
+  const { ext, kept } = exportFor(item)
+  if (kept) return item.name
+  const s = item.settings
+  const video = item.outputInfo?.video
+  const values = {
+    name: baseName(item.name),
+    preset: s.preset,
+    crf: isTargetMode(s) ? `${s.targetMB}MB` : `crf${s.crf}`,
+    res: video?.width ? `${video.width}x${video.height}` : sizePresets.find(p => p.id === s.sizePreset)?.short ?? '',
+    format: getFormat(s.formatId).id,
+    date: date.toISOString().slice(0, 10),
+  }
+  const expanded = (template || defaultNameTemplate).replace(/\{(\w+)\}/g, (m, key) => values[key] ?? m)
+  return `${sanitize(expanded)}.${ext}`
+}
+
+/** Name for one of an item's extra images, e.g. "clip-compressed-poster.jpg". */
+export const extraName = (template, item, extra, date = new Date()) =>
+  `${baseName(outputName(template, item, date))}-${extra.kind}.${extra.ext}`
+
+/**
+ * Returns a namer that hands out unique names, turning a repeated
+ * "clip.mp4" into "clip (1).mp4", "clip (2).mp4", …  `taken` seeds names
+ * that already exist (e.g. in a target folder).
+ */
+export const uniqueNamer = (taken = []) => {
+  const used = new Set(taken.map(n => n.toLowerCase()))
+  return (name) => {
+    let candidate = name
+    const dot = name.lastIndexOf('.')
+    const stem = dot > 0 ? name.slice(0, dot) : name
+    const ext = dot > 0 ? name.slice(dot) : ''
+    for (let i = 1; used.has(candidate.toLowerCase()); i++) candidate = `${stem} (${i})${ext}`
+    used.add(candidate.toLowerCase())
+    return candidate
+  }
+}
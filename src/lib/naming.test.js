@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import { extraName, outputName, uniqueNamer } from './naming'
+import { defaultSettings } from './settings'
+
+const date = new Date('2026-03-04T12:00:00Z')
+const done = (changes = {}, settings = {}) => ({
+  name: 'Holiday clip.MOV',
+  settings: { ...defaultSettings, sizePreset: '720p', crf: 28, preset: 'veryfast', ...settings },
+  outputInfo: { video: { width: 1280, height: 720 } },
+  outputBlob: new Blob(['x']),
+  outputExt: 'mp4',
+  ...changes,
+})
+
+describe('outputName', () => {
+  it.each([
+    ['{name}-compressed', 'Holiday clip-compressed.mp4'],
+    ['{name}_{res}_{crf}', 'Holiday clip_1280x720_crf28.mp4'],
+    ['{date} {name} ({preset}, {format})', '2026-03-04 Holiday clip (veryfast, mp4-h264).mp4'],
+    ['{name}-{unknown}', 'Holiday clip-{unknown}.mp4'],
+    ['', 'Holiday clip-compressed.mp4'],
+  ])('expands %j', (template, expected) => {
+    expect(outputName(template, done(), date)).toBe(expected)
+  })
+
+  it('falls back to the size preset when the output resolution is unknown', () => {
+    expect(outputName('{name}_{res}', done({ outputInfo: null }), date)).toBe('Holiday clip_720p.mp4')
+    expect(outputName('{name}_{res}', done({ outputInfo: { video: null } }, { sizePreset: 'original' }), date)).toBe('Holiday clip_original size.mp4')
+  })
+
+  it('names the target size in target mode', () => {
+    expect(outputName('{name}-{crf}', done({}, { mode: 'target', targetMB: 25 }), date)).toBe('Holiday clip-25MB.mp4')
+  })
+
+  it.each([
+    ['a/b\\c', 'a_b_c.mp4'],
+    ['what: "why"?', 'what_ _why_.mp4'], // a run of them becomes one _
+    ['<{name}>|*', '_Holiday clip_.mp4'],
+    ['..hidden', 'hidden.mp4'],
+    ['tab\there', 'tab_here.mp4'],
+    ['   ', 'video.mp4'],
+    ['///', '_.mp4'],
+  ])('replaces characters that are illegal in file names in %j', (template, expected) => {
+    expect(outputName(template, done(), date)).toBe(expected)
+  })
+
+  it('keeps the original name when the original was kept', () => {
+    expect(outputName('{name}-compressed', done({ keptOriginal: true, file: new Blob(['x']) }), date)).toBe('Holiday clip.MOV')
+  })
+
+  it('names extras after the output', () => {
+    expect(extraName('{name}-compressed', done(), { kind: 'poster', ext: 'jpg' }, date)).toBe('Holiday clip-compressed-poster.jpg')
+  })
+})
+
+describe('uniqueNamer', () => {
+  it('numbers repeated names from (1)', () => {
+    const unique = uniqueNamer()
+    expect(['clip.mp4', 'clip.mp4', 'clip.mp4', 'other.mp4'].map(unique))
+      .toEqual(['clip.mp4', 'clip (1).mp4', 'clip (2).mp4', 'other.mp4'])
+  })
+
+  it('ignores case, like most file systems', () => {
+    const unique = uniqueNamer()
+    expect([unique('Clip.mp4'), unique('clip.MP4')]).toEqual(['Clip.mp4', 'clip (1).MP4'])
+  })
+
+  it('skips names already taken, including numbered ones', () => {
+    const unique = uniqueNamer(['clip.mp4', 'clip (1).mp4'])
+    expect(unique('clip.mp4')).toBe('clip (2).mp4')
+    expect(unique('clip (1).mp4')).toBe('clip (1) (1).mp4')
+  })
+
+  it('numbers names without an extension and dot files', () => {
+    const unique = uniqueNamer(['README', '.env'])
+    expect(unique('README')).toBe('README (1)')
+    expect(unique('.env')).toBe('.env (1)')
+  })
+})
@@ -0,0 +1,8 @@
+// The FFmpeg cores are too large to precache both on install; the pool asks
+// the service worker to keep whichever one it actually loaded.
+export const cacheForOffline = (urls) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  navigator.serviceWorker.ready
+    .then(reg => reg.active?.postMessage({ type: 'cache-urls', urls }))
+    .catch(() => {})
+}
@@ -0,0 +1,174 @@
+// Branding burned into the picture: an image watermark, a line of text and
+// subtitles from an .srt/.vtt file dropped with the video. The settings live
+// in presets; the subtitle file belongs to the queue item.
+
+export const overlayPositions = [
+  { id: 'top-left', label: 'Top left' },
+  { id: 'top-right', label: 'Top right' },
+  { id: 'bottom-left', label: 'Bottom left' },
+  { id: 'bottom-right', label: 'Bottom right' },
+  { id: 'center', label: 'Center' },
+]
+
+// text height as a percentage of the video height
+export const textSizes = [2, 3, 4, 6, 8, 12]
+
+export const textTokens = [
+  { token: '{filename}', help: 'original file name without extension' },
+  { token: '{timestamp}', help: 'running time of the video, e.g. 00:01:23.456' },
+  { token: '{date}', help: 'encode date, YYYY-MM-DD' },
+]
+
+// Font family name of the bundled font, for libass.
+export const FONT_FAMILY = 'DejaVu Sans'
+
+// Watermark images are stored once in IndexedDB; exported preset files carry
+// them as data URLs.
+export const MAX_WATERMARK_BYTES = 512 * 1024
+
+const subtitleExtensions = ['srt', 'vtt']
+
+const extOf = (name) => name.match(/\.([^.]+)$/)?.[1]?.toLowerCase() ?? ''
+const stemOf = (name) => name.replace(/\.[^.]+$/, '').toLowerCase()
+
+export const isSubtitleName = (name) => subtitleExtensions.includes(extOf(name))
+
+/** True if the subtitle file is named like the video, e.g. "talk.srt" for "talk.mp4". */
+export const subtitlesMatch = (videoName, subtitleName) => stemOf(videoName) === stemOf(subtitleName)
+
+/**
+ * Pairs dropped subtitle files with the videos of the same name
+ * ("talk.mp4" + "talk.srt"). Returns the `videos` with their `subtitles`
+ * (null if none) and the subtitle files that matched no video.
+ */
+export const pairSubtitles = (files) => {
+  const subtitles = files.filter(f => isSubtitleName(f.name))
+  const used = new Set()
+  const videos = files.filter(f => !isSubtitleName(f.name)).map(file => {
+    const match = subtitles.find(s => subtitlesMatch(file.name, s.name))
+    if (match) used.add(match)
+    return { file, subtitles: match ?? null }
+  })
+  return { videos, unmatched: subtitles.filter(s => !used.has(s)) }
+}
+
+const hasText = (settings) => !!settings.overlayText?.trim()
+const burnsSubtitles = (item) => !!item.settings.burnSubtitles && !!item.subtitleFile
+
+/** True if the item's encode draws anything over the picture. */
+export const usesOverlays = (item) => !!item.settings.watermarkId || hasText(item.settings) || burnsSubtitles(item)
+
+/**
+ * What a job has to put in the FFmpeg file system for its overlays: the
+ * watermark image (by id, see watermarks.js), the expanded text, the subtitle file and whether the
+ * bundled font is needed.
+ */
+export const overlayFiles = (item, date = new Date()) => {
+  const { settings } = item
+  const text = hasText(settings) ? expandText(settings.overlayText, item, date) : null
+  const subtitles = burnsSubtitles(item) ? item.subtitleFile : null
+  return {
+    watermarkId: settings.watermarkId,
+    text,
+    subtitles,
+    font: text != null || !!subtitles,
+  }
+}
+
+// drawtext reads `\x` as a literal x and `%{…}` as an expansion.
+const escapeDrawtext = (text) => text.replace(/[\\%]/g, '\\$&')
+
+/** Fills in the text tokens; `{timestamp}` becomes drawtext's running time. */
+export const expandText = (template, item, date = new Date()) => {
+  const values = {
+    filename: escapeDrawtext(item.name.replace(/\.[^.]+$/, '')),
+    date: date.toISOString().slice(0, 10),
+    timestamp: '%{pts:hms}',
+  }
+  return template
+    .split(/(\{\w+\})/)
+    .map(part => {
+      const key = part.match(/^\{(\w+)\}$/)?.[1]
+      return key && key in values ? values[key] : escapeDrawtext(part)
+    })
+    .join('')
+}
+
+export const dataUrlToBlob = (dataUrl) => {
+  const [head, data] = dataUrl.split(',')
+  const type = head.match(/^data:([^;]+)/)?.[1] ?? 'application/octet-stream'
+  const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0))
+  return new Blob([bytes], { type })
+}
+
+/**
+ * Width and height the picture will have after the edits and the max width,
+ * or null if the input size is unknown.
+ */
+export const outputFrame = (inputInfo, edits, scale) => {
+  const video = inputInfo?.video
+  if (!video?.width || !video?.height) return null
+  let width = video.width * (edits?.crop?.w ?? 1)
+  let height = video.height * (edits?.crop?.h ?? 1)
+  if (edits?.rotate === 90 || edits?.rotate === 270) [width, height] = [height, width]
+  if (scale && width > scale) {
+    height = height * scale / width
+    width = scale
+  }
+  return { width: Math.round(width), height: Math.round(height) }
+}
+
+// overlay= and drawtext= name the frame and the overlaid size differently.
+const place = (position, margin, [W, H, w, h]) => {
+  const x = position.endsWith('left') ? `${margin}` : position.endsWith('right') ? `${W}-${w}-${margin}` : `(${W}-${w})/2`
+  const y = position.startsWith('top') ? `${margin}` : position.startsWith('bottom') ? `${H}-${h}-${margin}` : `(${H}-${h})/2`
+  return `x=${x}:y=${y}`
+}
+
+const fixed = (n) => Number(n.toFixed(4))
+
+/**
+ * Filters for the overlays, to run after the edit and scale filters.
+ * `paths` are where the job put the files from `overlayFiles`: `watermark`,
+ * `textFile`, `subtitles`, `fontFile` and `fontDir`. The watermark is a
+ * `{ source, overlay }` step, because it needs its image as a second input.
+ *
+ * Subtitle times refer to the untrimmed input, so the frames' timestamps
+ * are moved back there around the subtitles filter.
+ */
+export const overlayFilters = ({ settings, paths, frame, edits }) => {
+  const steps = []
+  const margin = frame ? Math.max(8, Math.round(Math.min(frame.width, frame.height) * 0.03)) : 16
+
+  if (paths.watermark) {
+    const width = frame ? Math.max(2, Math.round(frame.width * settings.watermarkScale / 100)) : null
+    const chain = [`movie=${paths.watermark}`]
+    if (width) chain.push(`scale=${width}:-1`)
+    chain.push('format=rgba', `colorchannelmixer=aa=${fixed(settings.watermarkOpacity)}`)
+    steps.push({ source: chain.join(','), overlay: `overlay=${place(settings.watermarkPosition, margin, ['W', 'H', 'w', 'h'])}` })
+  }
+
+  if (paths.textFile) {
+    const size = frame ? Math.max(8, Math.round(frame.height * settings.textSize / 100)) : 24
+    steps.push([
+      `drawtext=fontfile=${paths.fontFile}`,
+      `textfile=${paths.textFile}`,
+      `fontsize=${size}`,
+      'fontcolor=white',
+      `borderw=${Math.max(1, Math.round(size / 12))}`,
+      'bordercolor=black@0.6',
+      place(settings.textPosition, margin, ['w', 'h', 'text_w', 'text_h']),
+    ].join(':'))
+  }
+
+  if (paths.subtitles) {
+    const start = edits?.start ?? 0
+    const speed = edits?.speed ?? 1
+    const shifted = start > 0 || speed !== 1
+    if (shifted) steps.push(`setpts=PTS*${fixed(speed)}+${fixed(start)}/TB`)
+    steps.push(`subtitles=${paths.subtitles}:fontsdir=${paths.fontDir}:force_style='FontName=${FONT_FAMILY}'`)
+    if (shifted) steps.push(`setpts=(PTS-${fixed(start)}/TB)/${fixed(speed)}`)
+  }
+
+  return steps
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest'
+import { dataUrlToBlob, expandText, outputFrame, overlayFiles, pairSubtitles, usesOverlays } from './overlays'
+import { defaultSettings } from './settings'
+
+const file = (name) => new File(['x'], name)
+const item = (settings, extra = {}) => ({ name: 'Launch 50%.mp4', settings: { ...defaultSettings, ...settings }, subtitleFile: null, ...extra })
+
+describe('pairSubtitles', () => {
+  it('pairs subtitle files with videos of the same name', () => {
+    const talk = file('talk.mp4')
+    const talkSrt = file('Talk.SRT')
+    const stray = file('other.vtt')
+    const { videos, unmatched } = pairSubtitles([talkSrt, talk, file('intro.mov'), stray])
+    expect(videos.map(v => [v.file.name, v.subtitles?.name ?? null])).toEqual([['talk.mp4', 'Talk.SRT'], ['intro.mov', null]])
+    expect(unmatched).toEqual([stray])
+  })
+})
+
+describe('expandText', () => {
+  const date = new Date('2026-03-04T12:00:00Z')
+
+  it('fills in tokens and escapes drawtext specials in the rest', () => {
+    expect(expandText('{filename} · {date} · {timestamp} · 100% \\o/ {nope}', item({}), date))
+      .toBe('Launch 50\\% · 2026-03-04 · %{pts:hms} · 100\\% \\\\o/ {nope}')
+  })
+})
+
+describe('overlayFiles', () => {
+  it('only asks for the font when text or subtitles are drawn', () => {
+    const watermarkId = 'a'.repeat(64)
+    expect(usesOverlays(item({ watermarkId }))).toBe(true)
+    expect(overlayFiles(item({ watermarkId }))).toEqual({ watermarkId, text: null, subtitles: null, font: false })
+    expect(overlayFiles(item({ overlayText: '  ' })).font).toBe(false)
+    expect(overlayFiles(item({ overlayText: 'hi' })).font).toBe(true)
+  })
+
+  it('burns subtitles only when turned on and a file is attached', () => {
+    const srt = file('a.srt')
+    expect(usesOverlays(item({}, { subtitleFile: srt }))).toBe(false)
+    expect(usesOverlays(item({ burnSubtitles: true }))).toBe(false)
+    expect(overlayFiles(item({ burnSubtitles: true }, { subtitleFile: srt }))).toMatchObject({ subtitles: srt, font: true })
+  })
+})
+
+describe('outputFrame', () => {
+  const info = { video: { width: 1920, height: 1080 } }
+
+  it('applies crop, rotation and the max width', () => {
+    expect(outputFrame(info, null, 1280)).toEqual({ width: 1280, height: 720 })
+    expect(outputFrame(info, { crop: { x: 0, y: 0, w: 0.5, h: 1 }, rotate: 90 }, 1280)).toEqual({ width: 1080, height: 960 })
+    expect(outputFrame({ video: null }, null, 1280)).toBeNull()
+  })
+})
+
+describe('dataUrlToBlob', () => {
+  it('decodes base64 data with its type', async () => {
+    const blob = dataUrlToBlob('data:image/webp;base64,aGk=')
+    expect(blob.type).toBe('image/webp')
+    expect(await blob.text()).toBe('hi')
+  })
+})
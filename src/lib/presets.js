@@ -0,0 +1,157 @@
+import { formats, speedPresets } from './formats'
+import { audioBitrates, audioChannelOptions, defaultSettings, sizePresets } from './settings'
+import { MAX_WATERMARK_BYTES, overlayPositions, textSizes } from './overlays'
+import { imageFormats, posterModes } from './thumbnails'
+import { isWatermarkId } from './watermarks'
+
+const STORAGE_KEY = 'compressor.presets'
+
+export const builtInPresets = [
+  { id: 'builtin-discord', name: 'Discord 25 MB', builtIn: true, settings: { ...defaultSettings, sizePreset: '720p', mode: 'target', targetMB: 25, preset: 'medium' } },
+  { id: 'builtin-email', name: 'Email', builtIn: true, settings: { ...defaultSettings, sizePreset: '480p', mode: 'target', targetMB: 18, preset: 'slow' } },
+  { id: 'builtin-web720', name: 'Web 720p', builtIn: true, settings: { ...defaultSettings, sizePreset: '720p', mode: 'crf', crf: 26, preset: 'slow' } },
+  { id: 'builtin-archive', name: 'Archive high quality', builtIn: true, settings: { ...defaultSettings, sizePreset: 'original', mode: 'crf', crf: 18, preset: 'slower' } },
+]
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value)
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback
+}
+
+const oneOf = (value, allowed, fallback) => allowed.includes(value) ? value : fallback
+
+// base64 takes 4 characters for every 3 bytes
+const imageDataUrl = (value) => typeof value === 'string' &&
+  /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/=]+$/.test(value) &&
+  value.length <= MAX_WATERMARK_BYTES * 4 / 3 + 100
+  ? value
+  : null
+
+// URL queries carry booleans as strings
+const flag = (value, fallback) => {
+  if (value === true || value === 'true' || value === '1') return true
+  if (value === false || value === 'false' || value === '0') return false
+  return fallback
+}
+
+/**
+ * Coerces untrusted input (imported files, URL queries) into a complete
+ * settings object; unknown or invalid values fall back to the defaults.
+ */
+export const normalizeSettings = (raw = {}) => ({
+  ...defaultSettings,
+  formatId: oneOf(raw.formatId, formats.map(f => f.id), defaultSettings.formatId),
+  sizePreset: oneOf(raw.sizePreset, sizePresets.map(p => p.id), defaultSettings.sizePreset),
+  mode: oneOf(raw.mode, ['crf', 'target'], defaultSettings.mode),
+  crf: Math.round(clampNumber(raw.crf, 18, 32, defaultSettings.crf)),
+  targetMB: clampNumber(raw.targetMB, 1, 100000, defaultSettings.targetMB),
+  preset: oneOf(raw.preset, speedPresets, defaultSettings.preset),
+  stripAudio: flag(raw.stripAudio, defaultSettings.stripAudio),
+  audioKbps: oneOf(Number(raw.audioKbps), audioBitrates, defaultSettings.audioKbps),
+  audioChannels: oneOf(raw.audioChannels, audioChannelOptions.map(o => o.id), defaultSettings.audioChannels),
+  loudnorm: flag(raw.loudnorm, defaultSettings.loudnorm),
+  audioTrack: raw.audioTrack == null || raw.audioTrack === '' ? null : Math.round(clampNumber(raw.audioTrack, 0, 63, 0)),
+  poster: oneOf(raw.poster, posterModes.map(m => m.id), defaultSettings.poster),
+  posterTime: clampNumber(raw.posterTime, 0, 86400, defaultSettings.posterTime),
+  imageFormat: oneOf(raw.imageFormat, imageFormats.map(f => f.id), defaultSettings.imageFormat),
+  contactSheet: flag(raw.contactSheet, defaultSettings.contactSheet),
+  animatedPreview: flag(raw.animatedPreview, defaultSettings.animatedPreview),
+  watermarkId: isWatermarkId(raw.watermarkId) ? raw.watermarkId : null,
+  watermarkName: isWatermarkId(raw.watermarkId) && typeof raw.watermarkName === 'string' ? raw.watermarkName.slice(0, 200) : '',
+  watermarkPosition: oneOf(raw.watermarkPosition, overlayPositions.map(p => p.id), defaultSettings.watermarkPosition),
+  watermarkOpacity: clampNumber(raw.watermarkOpacity, 0.05, 1, defaultSettings.watermarkOpacity),
+  watermarkScale: clampNumber(raw.watermarkScale, 2, 100, defaultSettings.watermarkScale),
+  overlayText: typeof raw.overlayText === 'string' ? raw.overlayText.slice(0, 200) : defaultSettings.overlayText,
+  textPosition: oneOf(raw.textPosition, overlayPositions.map(p => p.id), defaultSettings.textPosition),
+  textSize: oneOf(Number(raw.textSize), textSizes, defaultSettings.textSize),
+  burnSubtitles: flag(raw.burnSubtitles, defaultSettings.burnSubtitles),
+})
+
+export const loadSavedPresets = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(parsed)
+      ? parsed.filter(p => p && typeof p.name === 'string').map(p => ({ id: p.id, name: p.name, settings: normalizeSettings(p.settings) }))
+      : []
+  } catch {
+    return []
+  }
+}
+
+/** Throws when the browser will not keep them, e.g. because its storage is full. */
+export const storeSavedPresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets.map(({ id, name, settings }) => ({ id, name, settings }))))
+  } catch (err) {
+    throw new Error(err?.name === 'QuotaExceededError'
+      ? 'Browser storage is full, so the presets were not saved'
+      : `The presets were not saved: ${err?.message || String(err)}`)
+  }
+}
+
+export const newPresetId = () => `preset-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
+
+// The file carries the watermark images (`{ id: dataUrl }`, from
+// exportWatermarks) so the presets keep them in another browser.
+export const presetsToJSON = (presets, watermarks = {}) => JSON.stringify({
+  version: 2,
+  presets: presets.map(({ name, settings }) => ({ name, settings })),
+  watermarks,
+}, null, 2)
+
+/** Parses an exported presets file. Throws with a readable message if it is not one. */
+export const presetsFromJSON = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  const list = Array.isArray(data) ? data : data?.presets
+  if (!Array.isArray(list)) throw new Error('No presets found in this file')
+  return list
+    .filter(p => p && typeof p.name === 'string' && p.name.trim())
+    .map(p => ({ id: newPresetId(), name: p.name.trim().slice(0, 80), settings: normalizeSettings(p.settings) }))
+}
+
+/** The watermark images of an exported presets file, `{ id: dataUrl }`; invalid ones are dropped. */
+export const watermarksFromJSON = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return {}
+  }
+  const images = data?.watermarks && typeof data.watermarks === 'object' ? data.watermarks : {}
+  return Object.fromEntries(Object.entries(images).filter(([id, url]) => isWatermarkId(id) && imageDataUrl(url)))
+}
+
+// Short, readable query keys for shareable links. The audio track is left
+// out: it depends on the file. So is the watermark, whose image only this
+// browser has.
+const queryKeys = {
+  formatId: 'fmt', sizePreset: 'size', mode: 'mode', crf: 'crf', targetMB: 'mb', preset: 'speed',
+  stripAudio: 'an', audioKbps: 'ab', audioChannels: 'ac', loudnorm: 'norm',
+  poster: 'poster', posterTime: 'pt', imageFormat: 'img', contactSheet: 'sheet', animatedPreview: 'anim',
+  watermarkPosition: 'wmpos', watermarkOpacity: 'wmop', watermarkScale: 'wmsize',
+  overlayText: 'text', textPosition: 'textpos', textSize: 'textsize', burnSubtitles: 'subs',
+}
+
+export const settingsToQuery = (settings, name) => {
+  const params = new URLSearchParams()
+  if (name) params.set('preset', name)
+  for (const [key, short] of Object.entries(queryKeys)) params.set(short, String(settings[key]))
+  return params.toString()
+}
+
+/** `{ name, settings }` from a shared link's query, or null if it has none. */
+export const settingsFromQuery = (searchParams) => {
+  if (!Object.values(queryKeys).some(k => searchParams.has(k))) return null
+  const raw = {}
+  for (const [key, short] of Object.entries(queryKeys)) {
+    if (searchParams.has(short)) raw[key] = searchParams.get(short)
+  }
+  return { name: searchParams.get('preset') || null, settings: normalizeSettings(raw) }
+}
+
+export const queryKeysInUse = () => ['preset', ...Object.values(queryKeys)]
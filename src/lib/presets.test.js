@@ -0,0 +1,156 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  builtInPresets, loadSavedPresets, normalizeSettings, presetsFromJSON, presetsToJSON, queryKeysInUse, settingsFromQuery,
+  settingsToQuery, storeSavedPresets, watermarksFromJSON,
+} from './presets'
+import { defaultSettings } from './settings'
+
+describe('normalizeSettings', () => {
+  it('fills in missing settings from the defaults', () => {
+    expect(normalizeSettings({ formatId: 'webm-vp9' })).toEqual({ ...defaultSettings, formatId: 'webm-vp9' })
+  })
+
+  it('rejects invalid audio values', () => {
+    const settings = normalizeSettings({ audioKbps: 999, audioChannels: 'surround', stripAudio: 'yes', audioTrack: -3 })
+    expect(settings).toMatchObject({ audioKbps: 128, audioChannels: 'original', stripAudio: false, audioTrack: 0 })
+  })
+
+  it('only keeps watermarks referred to by a stored image id', () => {
+    const watermarkId = 'ab'.repeat(32)
+    expect(normalizeSettings({ watermarkId, watermarkName: 'logo.png' })).toMatchObject({ watermarkId, watermarkName: 'logo.png' })
+    expect(normalizeSettings({ watermarkId: 'https://example.com/logo.png', watermarkName: 'logo.png' }))
+      .toMatchObject({ watermarkId: null, watermarkName: '' })
+    // images were once kept in the settings themselves
+    expect(normalizeSettings({ watermarkImage: 'data:image/png;base64,iVBORw0KGgo=' })).not.toHaveProperty('watermarkImage')
+    expect(normalizeSettings({ watermarkOpacity: 3, textSize: 5 })).toMatchObject({ watermarkOpacity: 1, textSize: 4 })
+  })
+})
+
+describe('share links', () => {
+  it('round-trip every preset setting', () => {
+    for (const { name, settings } of builtInPresets) {
+      const shared = settingsFromQuery(new URLSearchParams(settingsToQuery(settings, name)))
+      expect(shared).toEqual({ name, settings })
+    }
+  })
+
+  it('use short keys and leave out the name when there is none', () => {
+    const query = new URLSearchParams(settingsToQuery({ ...defaultSettings, mode: 'target', targetMB: 8 }))
+    expect(query.get('mode')).toBe('target')
+    expect(query.get('mb')).toBe('8')
+    expect(query.has('preset')).toBe(false)
+    expect([...query.keys()].every(k => queryKeysInUse().includes(k))).toBe(true)
+  })
+
+  it('fill in settings a link leaves out and reject invalid ones', () => {
+    const shared = settingsFromQuery(new URLSearchParams('preset=Mine&fmt=webm-vp9&crf=99&speed=warp&size=4k'))
+    expect(shared).toEqual({ name: 'Mine', settings: { ...defaultSettings, formatId: 'webm-vp9', crf: 32 } })
+  })
+
+  it('are ignored when the query has no settings', () => {
+    expect(settingsFromQuery(new URLSearchParams(''))).toBeNull()
+    expect(settingsFromQuery(new URLSearchParams('preset=Mine&utm_source=x'))).toBeNull()
+  })
+
+  it('round-trip the audio settings except the track', () => {
+    const settings = { ...defaultSettings, stripAudio: true, audioKbps: 64, audioChannels: 'mono', loudnorm: true, audioTrack: 2 }
+    const shared = settingsFromQuery(new URLSearchParams(settingsToQuery(settings, 'Talks')))
+    expect(shared.name).toBe('Talks')
+    expect(shared.settings).toEqual({ ...settings, audioTrack: null })
+  })
+
+  it('carry overlay text but not the watermark image', () => {
+    const settings = {
+      ...defaultSettings,
+      watermarkId: 'ab'.repeat(32), watermarkName: 'logo.png', watermarkPosition: 'top-left', watermarkOpacity: 0.5,
+      overlayText: '© Acme {date}', textPosition: 'center', textSize: 8, burnSubtitles: true,
+    }
+    const query = settingsToQuery(settings)
+    expect(query).not.toMatch(/abab/)
+    expect(settingsFromQuery(new URLSearchParams(query)).settings).toEqual({ ...settings, watermarkId: null, watermarkName: '' })
+  })
+})
+
+describe('presetsFromJSON', () => {
+  it('reads an exported file back', () => {
+    const saved = [{ id: 'a', name: 'Small', settings: { ...defaultSettings, crf: 30 } }]
+    const [preset] = presetsFromJSON(presetsToJSON(saved))
+    expect(preset.name).toBe('Small')
+    expect(preset.settings).toEqual(saved[0].settings)
+    expect(preset.id).not.toBe('a')
+  })
+
+  it('accepts a bare list and normalizes what it finds', () => {
+    const list = presetsFromJSON(JSON.stringify([
+      { name: `  ${'x'.repeat(100)}  `, settings: { crf: 5, formatId: 'nope' } },
+      { name: '   ' },
+      { settings: {} },
+      null,
+    ]))
+    expect(list).toHaveLength(1)
+    expect(list[0].name).toBe('x'.repeat(80))
+    expect(list[0].settings).toEqual({ ...defaultSettings, crf: 18 })
+  })
+
+  it.each([
+    ['not json', 'Not a JSON file'],
+    ['{"version":1}', 'No presets found in this file'],
+    ['"presets"', 'No presets found in this file'],
+  ])('rejects %j', (text, message) => {
+    expect(() => presetsFromJSON(text)).toThrow(message)
+  })
+})
+
+describe('watermarksFromJSON', () => {
+  const id = 'ab'.repeat(32)
+  const png = 'data:image/png;base64,iVBORw0KGgo='
+
+  it('reads the images an exported file carries', () => {
+    const saved = [{ id: 'a', name: 'Logo', settings: { ...defaultSettings, watermarkId: id, watermarkName: 'logo.png' } }]
+    const text = presetsToJSON(saved, { [id]: png })
+    expect(presetsFromJSON(text)[0].settings.watermarkId).toBe(id)
+    expect(watermarksFromJSON(text)).toEqual({ [id]: png })
+  })
+
+  it('drops invalid ids and anything but image data URLs', () => {
+    const text = JSON.stringify({ presets: [], watermarks: { nope: png, [id]: 'https://example.com/logo.png', ['cd'.repeat(32)]: png } })
+    expect(watermarksFromJSON(text)).toEqual({ ['cd'.repeat(32)]: png })
+    expect(watermarksFromJSON(JSON.stringify([]))).toEqual({})
+    expect(watermarksFromJSON('not json')).toEqual({})
+  })
+})
+
+describe('saved presets', () => {
+  const memoryStorage = () => {
+    const data = new Map()
+    return {
+      getItem: key => data.get(key) ?? null,
+      setItem: (key, value) => data.set(key, String(value)),
+    }
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('survive a reload', () => {
+    vi.stubGlobal('localStorage', memoryStorage())
+    const presets = [{ id: 'p1', name: 'Mine', settings: { ...defaultSettings, crf: 20 }, builtIn: false }]
+    storeSavedPresets(presets)
+    expect(loadSavedPresets()).toEqual([{ id: 'p1', name: 'Mine', settings: presets[0].settings }])
+  })
+
+  it('report a full storage instead of dropping the write', () => {
+    vi.stubGlobal('localStorage', {
+      ...memoryStorage(),
+      setItem: () => { throw new DOMException('The quota has been exceeded.', 'QuotaExceededError') },
+    })
+    expect(() => storeSavedPresets([{ id: 'p1', name: 'Mine', settings: defaultSettings }]))
+      .toThrow('Browser storage is full, so the presets were not saved')
+  })
+
+  it('load as an empty list from damaged storage', () => {
+    vi.stubGlobal('localStorage', { getItem: () => '{oops' })
+    expect(loadSavedPresets()).toEqual([])
+  })
+})
@@ -0,0 +1,84 @@
+// Client for the optional compression backend. The API (implemented by
+// scripts/backend-stand-in.js for local development):
+//
+//   POST   /compress             multipart: file, settings (JSON), edits (JSON) -> { job_id }
+//   GET    /compress/:id         { status: queued|processing|done|error, progress: 0..1, error }
+//   GET    /compress/:id/output  the compressed file
+//   DELETE /compress/:id         cancels the job and frees its files
+
+export const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://127.0.0.1:8000'
+
+/** The server could not be reached or does not offer compression; compress locally instead. */
+export class BackendUnavailable extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'BackendUnavailable'
+  }
+}
+
+// 404/405/501: a backend without the compression endpoints
+const unavailableStatus = (status) => status === 404 || status === 405 || status >= 500
+
+const call = async (url, init) => {
+  let res
+  try {
+    res = await fetch(url, init)
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    throw new BackendUnavailable('The compression server is not reachable')
+  }
+  if (res.ok) return res
+  if (unavailableStatus(res.status)) {
+    throw new BackendUnavailable(`The compression server answered ${res.status} ${res.statusText}`.trim())
+  }
+  const body = await res.json().catch(() => null)
+  throw new Error(body?.error || body?.detail || `The compression server rejected the file (${res.status})`)
+}
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }, { once: true })
+})
+
+/** True when the backend answers its root endpoint within `timeoutMs`. */
+export const pingBackend = async (base = backendUrl, timeoutMs = 3000) => {
+  try {
+    const res = await fetch(base, { signal: AbortSignal.timeout(timeoutMs) })
+    return res.ok
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Compresses one queue item on the server: uploads its input with its
+ * settings and edits, polls the job until it finishes and downloads the
+ * output Blob. `onProgress` gets 0..1. Aborting `signal` cancels the server
+ * job too. Throws BackendUnavailable when the server cannot be used at all.
+ */
+export const compressRemote = async (base, item, { onProgress, signal, pollMs = 1000 } = {}) => {
+  const form = new FormData()
+  form.append('file', item.file, item.name)
+  form.append('settings', JSON.stringify(item.settings))
+  form.append('edits', JSON.stringify(item.edits ?? null))
+  const { job_id: id } = await (await call(`${base}/compress`, { method: 'POST', body: form, signal })).json()
+  const jobUrl = `${base}/compress/${encodeURIComponent(id)}`
+  try {
+    for (;;) {
+      const job = await (await call(jobUrl, { signal })).json()
+      if (job.status === 'done') break
+      if (job.status === 'error') throw new Error(job.error || 'The server could not compress this file')
+      onProgress?.(job.progress ?? 0)
+      await wait(pollMs, signal)
+    }
+    const blob = await (await call(`${jobUrl}/output`, { signal })).blob()
+    onProgress?.(1)
+    return blob
+  } finally {
+    // cancels an unfinished job, or frees the output once downloaded
+    fetch(jobUrl, { method: 'DELETE' }).catch(() => {})
+  }
+}
@@ -0,0 +1,60 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { createBackend } from '../../scripts/backend-stand-in'
+import { BackendUnavailable, compressRemote, pingBackend } from './remote'
+import { defaultSettings } from './settings'
+
+const item = (settings = defaultSettings) => ({
+  name: 'clip.mp4',
+  file: new File([new Uint8Array([1, 2, 3, 4])], 'clip.mp4', { type: 'video/mp4' }),
+  settings,
+  edits: null,
+})
+
+describe('compressRemote against the stand-in backend', () => {
+  let server
+  let base
+
+  beforeAll(async () => {
+    server = createBackend({ ffmpegPath: null, stepMs: 5 })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    base = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(() => new Promise(resolve => server.close(resolve)))
+
+  it('answers the health check', async () => {
+    expect(await pingBackend(base)).toBe(true)
+  })
+
+  it('uploads, follows progress and downloads the output', async () => {
+    const progress = []
+    const blob = await compressRemote(base, item(), { pollMs: 5, onProgress: p => progress.push(p) })
+    expect([...new Uint8Array(await blob.arrayBuffer())]).toEqual([1, 2, 3, 4])
+    expect(progress.at(-1)).toBe(1)
+    expect(progress).toEqual([...progress].sort((a, b) => a - b))
+  })
+
+  it('rejects settings the server cannot use', async () => {
+    const promise = compressRemote(base, item({ ...defaultSettings, formatId: 'nope' }), { pollMs: 5 })
+    await expect(promise).rejects.toThrow('Unknown format nope')
+    await expect(promise).rejects.not.toBeInstanceOf(BackendUnavailable)
+  })
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController()
+    const promise = compressRemote(base, item(), {
+      pollMs: 5,
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    })
+    await expect(promise).rejects.toThrow(/abort/i)
+  })
+})
+
+describe('compressRemote without a backend', () => {
+  it('reports an unreachable server as unavailable', async () => {
+    const base = 'http://127.0.0.1:9'
+    expect(await pingBackend(base, 500)).toBe(false)
+    await expect(compressRemote(base, item())).rejects.toBeInstanceOf(BackendUnavailable)
+  })
+})
@@ -0,0 +1,93 @@
+import { getFormat } from './formats'
+
+export const sizePresets = [
+  { id: '1080p', label: '1080p (max width 1920)', short: '1080p', scale: 1920 },
+  { id: '720p', label: '720p (max width 1280)', short: '720p', scale: 1280 },
+  { id: '480p', label: '480p (max width 854)', short: '480p', scale: 854 },
+  { id: 'original', label: 'Original size', short: 'original size', scale: null },
+]
+
+export const AUDIO_KBPS = 128
+export const audioBitrates = [32, 48, 64, 96, 128, 160, 192, 256]
+export const audioChannelOptions = [
+  { id: 'original', label: 'Same as input', channels: null },
+  { id: 'mono', label: 'Mono', channels: 1 },
+  { id: 'stereo', label: 'Stereo', channels: 2 },
+]
+
+// Everything that decides how one file is encoded. Queue items carry their
+// own copy so changing the panel mid-batch only affects files added later.
+export const defaultSettings = {
+  formatId: 'mp4-h264',
+  sizePreset: '720p',
+  mode: 'crf', // 'crf' | 'target'
+  crf: 24, // lower = better quality
+  targetMB: 25,
+  preset: 'medium', // ultrafast .. veryslow
+  stripAudio: false,
+  audioKbps: AUDIO_KBPS,
+  audioChannels: 'original',
+  loudnorm: false, // EBU R128
+  audioTrack: null, // index among the input's audio streams; null = FFmpeg's pick
+  poster: 'off', // 'off' | 'time' | 'auto'
+  posterTime: 1, // seconds into the compressed video
+  imageFormat: 'jpg', // 'jpg' | 'webp', for the poster and contact sheet
+  contactSheet: false,
+  animatedPreview: false,
+  watermarkId: null, // SHA-256 of the image in the watermark store
+  watermarkName: '',
+  watermarkPosition: 'bottom-right',
+  watermarkOpacity: 0.8,
+  watermarkScale: 15, // % of the video width
+  overlayText: '', // may use {filename}, {timestamp}, {date}
+  textPosition: 'bottom-left',
+  textSize: 4, // % of the video height
+  burnSubtitles: false, // from an .srt/.vtt dropped with the video
+}
+
+export const getScale = (settings) => sizePresets.find(p => p.id === settings.sizePreset)?.scale ?? null
+
+export const isTargetMode = (settings) => settings.mode === 'target' && getFormat(settings.formatId).twoPass
+
+export const keepsAudio = (settings) => {
+  const format = getFormat(settings.formatId)
+  return !!format.audio && (format.kind === 'audio' || !settings.stripAudio)
+}
+
+// Audio bitrate the output will carry, for size targets and estimates.
+export const audioBitrate = (settings) => keepsAudio(settings) ? settings.audioKbps : 0
+
+// One-line summary shown on queue rows, e.g. "MP4 (H.264/AAC) · 720p · CRF 24 · medium"
+export const describeSettings = (settings) => {
+  const format = getFormat(settings.formatId)
+  const parts = [format.label]
+  if (format.kind !== 'audio') parts.push(sizePresets.find(p => p.id === settings.sizePreset)?.short)
+  if (isTargetMode(settings)) parts.push(`≤ ${settings.targetMB} MB`)
+  else if (format.kind === 'video') parts.push(`CRF ${settings.crf}`)
+  if (format.kind === 'video') parts.push(settings.preset)
+  if (format.kind === 'video' && !keepsAudio(settings)) parts.push('no audio')
+  else if (keepsAudio(settings)) {
+    const channels = audioChannelOptions.find(o => o.id === settings.audioChannels)
+    if (channels?.channels) parts.push(channels.label.toLowerCase())
+    if (settings.audioKbps !== AUDIO_KBPS) parts.push(`${settings.audioKbps} kbps audio`)
+    if (settings.loudnorm) parts.push('loudness normalized')
+    if (settings.audioTrack != null) parts.push(`audio track ${settings.audioTrack + 1}`)
+  }
+  if (format.kind !== 'audio') {
+    const overlays = [
+      settings.watermarkId && 'watermark',
+      settings.overlayText.trim() && 'text',
+      settings.burnSubtitles && 'subtitles',
+    ].filter(Boolean)
+    if (overlays.length) parts.push(overlays.join(' + '))
+  }
+  if (format.kind === 'video') {
+    const images = [
+      settings.poster !== 'off' && 'poster',
+      settings.contactSheet && 'contact sheet',
+      settings.animatedPreview && 'preview',
+    ].filter(Boolean)
+    if (images.length) parts.push(`+ ${images.join(', ')}`)
+  }
+  return parts.filter(Boolean).join(' · ')
+}
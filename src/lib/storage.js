@@ -0,0 +1,128 @@
+// IndexedDB persistence for the queue. Item metadata lives in `items`; the
+// input File and finished output Blob live in `blobs` under `<id>:input` and
+// `<id>:output`, extra images under `<id>:extra:<kind>` and a dropped subtitle
+// file under `<id>:subtitles`, so metadata writes never copy video data.
+// Watermark images live in `watermarks` under the SHA-256 of their bytes;
+// settings, items and presets only carry that key. Directory handles picked
+// for watch folders live in `folders`, so a folder can be recognised again
+// after a reload.
+
+const DB_NAME = 'video-compressor'
+const DB_VERSION = 3
+
+let dbPromise = null
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        if (!db.objectStoreNames.contains('items')) db.createObjectStore('items', { keyPath: 'id' })
+        if (!db.objectStoreNames.contains('blobs')) db.createObjectStore('blobs')
+        if (!db.objectStoreNames.contains('watermarks')) db.createObjectStore('watermarks')
+        if (!db.objectStoreNames.contains('folders')) db.createObjectStore('folders')
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+  return dbPromise
+}
+
+const requestResult = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+const transaction = async (stores, mode, fn) => {
+  const db = await openDB()
+  const tx = db.transaction(stores, mode)
+  const result = fn(...stores.map(s => tx.objectStore(s)))
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+  return result
+}
+
+export const storageAvailable = () => typeof indexedDB !== 'undefined'
+
+export const saveItem = (meta) => transaction(['items'], 'readwrite', items => { items.put(meta) })
+
+export const saveInput = (id, file) => transaction(['blobs'], 'readwrite', blobs => { blobs.put(file, `${id}:input`) })
+
+export const saveOutput = (id, blob) => transaction(['blobs'], 'readwrite', blobs => { blobs.put(blob, `${id}:output`) })
+
+export const saveSubtitles = (id, file) => transaction(['blobs'], 'readwrite', blobs => { blobs.put(file, `${id}:subtitles`) })
+
+export const saveExtra = (id, kind, blob) => transaction(['blobs'], 'readwrite', blobs => { blobs.put(blob, `${id}:extra:${kind}`) })
+
+export const saveWatermarkImage = (key, blob) => transaction(['watermarks'], 'readwrite', images => { images.put(blob, key) })
+
+/** The stored watermark image for `key`, or null. */
+export const loadWatermarkImage = async (key) => {
+  const db = await openDB()
+  const images = db.transaction(['watermarks'], 'readonly').objectStore('watermarks')
+  return (await requestResult(images.get(key))) ?? null
+}
+
+export const saveFolder = (key, handle) => transaction(['folders'], 'readwrite', folders => { folders.put(handle, key) })
+
+/** The directory handle stored under `key`, or null. */
+export const loadFolder = async (key) => {
+  const db = await openDB()
+  const folders = db.transaction(['folders'], 'readonly').objectStore('folders')
+  return (await requestResult(folders.get(key))) ?? null
+}
+
+export const deleteFolder = (key) => transaction(['folders'], 'readwrite', folders => { folders.delete(key) })
+
+/** Every stored directory handle as `{ key, handle }`. */
+export const loadFolders = async () => {
+  const db = await openDB()
+  const folders = db.transaction(['folders'], 'readonly').objectStore('folders')
+  const [keys, handles] = await Promise.all([requestResult(folders.getAllKeys()), requestResult(folders.getAll())])
+  return keys.map((key, i) => ({ key, handle: handles[i] }))
+}
+
+export const deleteItem = (id) => transaction(['items', 'blobs'], 'readwrite', (items, blobs) => {
+  items.delete(id)
+  // every key of the form `<id>:…`
+  blobs.delete(IDBKeyRange.bound(`${id}:`, `${id}:\uffff`))
+})
+
+/**
+ * Every stored item with its `file`, `outputBlob` (null if not finished) and
+ * `subtitleFile` (null if none), and the `blob` of each of its `extras`.
+ */
+export const loadAll = async () => {
+  const db = await openDB()
+  const tx = db.transaction(['items', 'blobs'], 'readonly')
+  const metas = await requestResult(tx.objectStore('items').getAll())
+  const blobs = tx.objectStore('blobs')
+  const loaded = await Promise.all(metas.map(async meta => ({
+    ...meta,
+    file: (await requestResult(blobs.get(`${meta.id}:input`))) ?? null,
+    outputBlob: (await requestResult(blobs.get(`${meta.id}:output`))) ?? null,
+    subtitleFile: meta.hasSubtitles ? (await requestResult(blobs.get(`${meta.id}:subtitles`))) ?? null : null,
+    extras: await Promise.all((meta.extras ?? []).map(async extra => ({
+      ...extra,
+      blob: (await requestResult(blobs.get(`${meta.id}:extra:${extra.kind}`))) ?? null,
+    }))),
+  })))
+  return loaded.sort((a, b) => a.position - b.position)
+}
+
+/** `{ usage, quota }` in bytes for the whole origin, or null if unsupported. */
+export const estimateUsage = async () => {
+  if (!navigator.storage?.estimate) return null
+  const { usage, quota } = await navigator.storage.estimate()
+  return { usage, quota }
+}
+
+// Ask the browser not to evict our data under storage pressure. Best effort.
+export const requestPersistence = async () => {
+  try { return await navigator.storage?.persist?.() } catch { return false }
+}
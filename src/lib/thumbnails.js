@@ -0,0 +1,85 @@
+// Still and animated images made from a finished video for CMS use: a poster
+// frame, a tiled contact sheet and a short looping preview. They are cut from
+// the compressed output, so trims, crops and scaling are already applied.
+
+export const imageFormats = [
+  { id: 'jpg', label: 'JPEG', encoder: 'mjpeg', mime: 'image/jpeg' },
+  { id: 'webp', label: 'WebP', encoder: 'libwebp', mime: 'image/webp' },
+]
+
+export const posterModes = [
+  { id: 'off', label: 'No poster' },
+  { id: 'time', label: 'Frame at a timestamp' },
+  { id: 'auto', label: 'Most representative frame' },
+]
+
+const SHEET_COLUMNS = 4
+const SHEET_ROWS = 4
+const TILE_WIDTH = 320
+const PREVIEW_SECONDS = 3
+const PREVIEW_FPS = 10
+
+// Past this length only keyframes are decoded when sampling the whole video.
+const KEYFRAMES_AFTER = 60
+
+export const wantsExtras = (settings) => settings.poster !== 'off' || settings.contactSheet || settings.animatedPreview
+
+const stillArgs = (imageFormat) => imageFormat === 'webp'
+  ? ['-c:v', 'libwebp', '-quality', '80']
+  : ['-c:v', 'mjpeg', '-q:v', '3']
+
+const sampleArgs = (duration) => duration > KEYFRAMES_AFTER ? ['-skip_frame', 'nokey'] : []
+
+// A seek point inside the video, clear of the very last frame.
+const clampTime = (t, duration) => duration ? Math.max(0, Math.min(t, duration - 0.1)) : Math.max(0, t)
+
+/**
+ * The FFmpeg runs that make the extras `settings` ask for, as
+ * `[{ kind, label, ext, mime, output, args }]`. `input` is the compressed
+ * video and `duration` its length in seconds (null if unknown, which rules
+ * out the contact sheet). Output names start with `prefix`.
+ */
+export const buildExtraJobs = ({ settings, input, duration, prefix }) => {
+  const still = imageFormats.find(f => f.id === settings.imageFormat) ?? imageFormats[0]
+  const jobs = []
+  const add = (kind, label, ext, mime, args) => {
+    const output = `${prefix}_${kind}.${ext}`
+    jobs.push({ kind, label, ext, mime, output, args: [...args, output] })
+  }
+
+  if (settings.poster === 'time') {
+    add('poster', 'Poster', still.id, still.mime, [
+      '-ss', clampTime(settings.posterTime, duration).toFixed(3), '-i', input,
+      '-frames:v', '1', ...stillArgs(still.id),
+    ])
+  } else if (settings.poster === 'auto') {
+    // thumbnail= keeps the frame closest to the average of each batch
+    add('poster', 'Poster', still.id, still.mime, [
+      ...sampleArgs(duration), '-i', input,
+      '-vf', 'thumbnail=100', '-frames:v', '1', ...stillArgs(still.id),
+    ])
+  }
+
+  if (settings.contactSheet && duration) {
+    const tiles = SHEET_COLUMNS * SHEET_ROWS
+    add('sheet', 'Contact sheet', still.id, still.mime, [
+      ...sampleArgs(duration), '-i', input,
+      '-vf', `fps=${tiles}/${duration.toFixed(3)},scale=${TILE_WIDTH}:-2,tile=${SHEET_COLUMNS}x${SHEET_ROWS}:padding=4:margin=4`,
+      '-frames:v', '1', ...stillArgs(still.id),
+    ])
+  }
+
+  if (settings.animatedPreview) {
+    // JPEG cannot animate, so that choice gets a GIF
+    const start = duration > PREVIEW_SECONDS * 4 ? duration * 0.1 : 0
+    const frames = `fps=${PREVIEW_FPS},scale=${TILE_WIDTH}:-2`
+    const head = ['-ss', start.toFixed(3), '-t', String(PREVIEW_SECONDS), '-i', input, '-an']
+    if (still.id === 'webp') {
+      add('preview', 'Preview', 'webp', 'image/webp', [...head, '-vf', frames, '-c:v', 'libwebp', '-quality', '70', '-loop', '0'])
+    } else {
+      add('preview', 'Preview', 'gif', 'image/gif', [...head, '-vf', `${frames},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0'])
+    }
+  }
+
+  return jobs
+}
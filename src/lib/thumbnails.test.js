@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { defaultSettings } from './settings'
+import { buildExtraJobs, wantsExtras } from './thumbnails'
+
+const jobs = (settings, duration = 30) => buildExtraJobs({
+  settings: { ...defaultSettings, ...settings },
+  input: 'out.mp4',
+  duration,
+  prefix: 'extra_1',
+})
+const vf = (args) => args[args.indexOf('-vf') + 1]
+
+describe('buildExtraJobs', () => {
+  it('makes nothing by default', () => {
+    expect(wantsExtras(defaultSettings)).toBe(false)
+    expect(jobs({})).toEqual([])
+  })
+
+  it('seeks to the poster timestamp, clamped to the video', () => {
+    const [poster] = jobs({ poster: 'time', posterTime: 12.5 })
+    expect(poster).toMatchObject({ kind: 'poster', ext: 'jpg', mime: 'image/jpeg', output: 'extra_1_poster.jpg' })
+    expect(poster.args.slice(0, 4)).toEqual(['-ss', '12.500', '-i', 'out.mp4'])
+    expect(poster.args).toEqual(expect.arrayContaining(['-frames:v', '1', '-c:v', 'mjpeg']))
+    expect(poster.args.at(-1)).toBe('extra_1_poster.jpg')
+
+    const [late] = jobs({ poster: 'time', posterTime: 99 })
+    expect(late.args[1]).toBe('29.900')
+  })
+
+  it('picks the representative frame with the thumbnail filter', () => {
+    const [poster] = jobs({ poster: 'auto', imageFormat: 'webp' })
+    expect(vf(poster.args)).toBe('thumbnail=100')
+    expect(poster.args).toEqual(expect.arrayContaining(['-c:v', 'libwebp']))
+    expect(poster.output).toBe('extra_1_poster.webp')
+    expect(poster.args).not.toContain('-skip_frame')
+    // long videos are sampled from their keyframes only
+    expect(jobs({ poster: 'auto' }, 600)[0].args.slice(0, 2)).toEqual(['-skip_frame', 'nokey'])
+  })
+
+  it('tiles frames spread over the whole video', () => {
+    const [sheet] = jobs({ contactSheet: true })
+    expect(vf(sheet.args)).toBe('fps=16/30.000,scale=320:-2,tile=4x4:padding=4:margin=4')
+    expect(jobs({ contactSheet: true }, null)).toEqual([])
+  })
+
+  it('makes a GIF preview for JPEG and an animated WebP otherwise', () => {
+    const [gif] = jobs({ animatedPreview: true })
+    expect(gif).toMatchObject({ ext: 'gif', mime: 'image/gif' })
+    expect(gif.args.slice(0, 4)).toEqual(['-ss', '3.000', '-t', '3'])
+    expect(vf(gif.args)).toMatch(/palettegen/)
+    const [webp] = jobs({ animatedPreview: true, imageFormat: 'webp' })
+    expect(webp.args).toEqual(expect.arrayContaining(['-c:v', 'libwebp', '-loop', '0']))
+  })
+
+  it('lists the extras in a fixed order', () => {
+    expect(jobs({ poster: 'auto', contactSheet: true, animatedPreview: true }).map(j => j.kind)).toEqual(['poster', 'sheet', 'preview'])
+  })
+})
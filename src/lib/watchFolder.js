@@ -0,0 +1,124 @@
+import { fileKey } from './jobQueue'
+import { loadFolders, saveFolder, storageAvailable } from './storage'
+
+// Watch folders pick up files by name, so only these count as videos.
+export const videoExtensions = ['mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'wmv', 'flv', 'mpg', 'mpeg', 'ts', 'mts', 'm2ts', '3gp', 'ogv']
+
+export const isVideoName = (name) => videoExtensions.includes(name.match(/\.([^.]+)$/)?.[1]?.toLowerCase())
+
+/** Splits "*.mp4, clip-*" (commas or new lines) into a list of patterns. */
+export const parsePatterns = (text) => text.split(/[,\n]/).map(p => p.trim()).filter(Boolean)
+
+// `*` matches any run of characters and `?` one character, ignoring case.
+const globToRegExp = (glob) => new RegExp(
+  `^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i',
+)
+
+/** True if `name` matches an `include` pattern (or there are none) and no `exclude` pattern. */
+export const matchesPatterns = (name, { include = [], exclude = [] } = {}) => {
+  const test = (glob) => globToRegExp(glob).test(name)
+  return (include.length === 0 || include.some(test)) && !exclude.some(test)
+}
+
+/**
+ * Finds new videos in a directory handle. A file is only returned once its
+ * size and modification time are the same in two scans in a row, so a file
+ * that is still being copied in is not picked up half-written. Files whose
+ * `fileKey` is in `seen` are skipped; the caller adds the files it took.
+ */
+export const createFolderScanner = (seen = new Set()) => {
+  const pending = new Map() // name -> file key at the previous scan
+
+  const scan = async (dir, patterns) => {
+    const ready = []
+    const present = new Set()
+    for await (const handle of dir.values()) {
+      if (handle.kind !== 'file' || !isVideoName(handle.name) || !matchesPatterns(handle.name, patterns)) continue
+      const file = await handle.getFile()
+      const key = fileKey(file)
+      present.add(handle.name)
+      if (seen.has(key)) continue
+      if (pending.get(handle.name) === key) {
+        pending.delete(handle.name)
+        ready.push(file)
+      } else {
+        pending.set(handle.name, key)
+      }
+    }
+    for (const name of [...pending.keys()]) {
+      if (!present.has(name)) pending.delete(name)
+    }
+    return ready
+  }
+
+  return { seen, scan }
+}
+
+/** The .srt or .vtt named like `videoName` in `dir`, or null. */
+export const siblingSubtitles = async (dir, videoName) => {
+  const stem = videoName.replace(/\.[^.]+$/, '')
+  for (const ext of ['srt', 'vtt']) {
+    try {
+      return await (await dir.getFileHandle(`${stem}.${ext}`)).getFile()
+    } catch {}
+  }
+  return null
+}
+
+const SEEN_PREFIX = 'compressor.watch.'
+// enough for years of a busy folder without filling localStorage
+const SEEN_LIMIT = 5000
+const INPUT_PREFIX = 'watch-input:'
+export const OUTPUT_KEY = 'watch-output'
+
+/** The key under which a handle in `folders` (`{ key, handle }`) points at the same directory as `handle`, or null. */
+export const findFolder = async (handle, folders) => {
+  for (const folder of folders) {
+    if (folder.key.startsWith(INPUT_PREFIX) && await folder.handle.isSameEntry(handle)) return folder.key
+  }
+  return null
+}
+
+/**
+ * A stable key for a picked input folder. Two folders with the same name get
+ * different keys, and picking the same folder again finds its key. Resolves
+ * null without IndexedDB, where nothing outlives the page.
+ */
+export const folderKey = async (handle) => {
+  if (!storageAvailable()) return null
+  try {
+    const key = await findFolder(handle, await loadFolders())
+    if (key) return key
+    const created = INPUT_PREFIX + crypto.randomUUID()
+    await saveFolder(created, handle)
+    return created
+  } catch (err) {
+    console.warn('Could not store the watched folder', err)
+    return null
+  }
+}
+
+// Processed files are remembered per folder key, so picking the same folder
+// after a reload does not queue everything again.
+export const loadSeen = (key) => {
+  if (!key) return new Set()
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SEEN_PREFIX + key) || '[]')
+    return new Set(Array.isArray(parsed) ? parsed.filter(k => typeof k === 'string') : [])
+  } catch {
+    return new Set()
+  }
+}
+
+export const storeSeen = (key, seen) => {
+  if (!key) return
+  try {
+    localStorage.setItem(SEEN_PREFIX + key, JSON.stringify([...seen].slice(-SEEN_LIMIT)))
+  } catch {}
+}
+
+export const forgetSeen = (key) => {
+  if (!key) return
+  try { localStorage.removeItem(SEEN_PREFIX + key) } catch {}
+}
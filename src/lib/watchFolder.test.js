@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest'
+import { fileKey } from './jobQueue'
+import { OUTPUT_KEY, createFolderScanner, findFolder, isVideoName, matchesPatterns, parsePatterns } from './watchFolder'
+
+// A directory handle over a plain object of name -> File (or 'dir').
+const folder = (entries) => ({
+  async *values() {
+    for (const [name, file] of Object.entries(entries)) {
+      yield file === 'dir'
+        ? { kind: 'directory', name }
+        : { kind: 'file', name, getFile: async () => file }
+    }
+  },
+})
+const video = (name, size = 100, lastModified = 1000) => new File([new Uint8Array(size)], name, { lastModified })
+
+describe('patterns', () => {
+  it('recognises video files by extension', () => {
+    expect(isVideoName('clip.MOV')).toBe(true)
+    expect(isVideoName('notes.txt')).toBe(false)
+    expect(isVideoName('mp4')).toBe(false)
+  })
+
+  it('splits on commas and new lines', () => {
+    expect(parsePatterns(' *.mp4, clip-*\n\nraw?.mov ')).toEqual(['*.mp4', 'clip-*', 'raw?.mov'])
+  })
+
+  it('includes everything unless told otherwise and lets excludes win', () => {
+    expect(matchesPatterns('a.mp4')).toBe(true)
+    expect(matchesPatterns('A.MP4', { include: ['*.mp4'] })).toBe(true)
+    expect(matchesPatterns('a.mov', { include: ['*.mp4'] })).toBe(false)
+    expect(matchesPatterns('clip-compressed.mp4', { include: ['clip*'], exclude: ['*-compressed.*'] })).toBe(false)
+    expect(matchesPatterns('take1.mp4', { include: ['take?.mp4'] })).toBe(true)
+    expect(matchesPatterns('a+b.mp4', { include: ['a+b.*'] })).toBe(true)
+  })
+})
+
+describe('createFolderScanner', () => {
+  it('returns a file once it is unchanged between two scans', async () => {
+    const scanner = createFolderScanner()
+    const dir = { 'a.mp4': video('a.mp4'), 'notes.txt': video('notes.txt'), sub: 'dir' }
+    expect(await scanner.scan(folder(dir))).toEqual([])
+    const [file] = await scanner.scan(folder(dir))
+    expect(file.name).toBe('a.mp4')
+  })
+
+  it('waits while a file is still growing', async () => {
+    const scanner = createFolderScanner()
+    await scanner.scan(folder({ 'a.mp4': video('a.mp4', 100) }))
+    expect(await scanner.scan(folder({ 'a.mp4': video('a.mp4', 200, 2000) }))).toEqual([])
+    expect(await scanner.scan(folder({ 'a.mp4': video('a.mp4', 200, 2000) }))).toHaveLength(1)
+  })
+
+  it('skips files already seen and those the patterns rule out', async () => {
+    const done = video('done.mp4')
+    const scanner = createFolderScanner(new Set([fileKey(done)]))
+    const dir = folder({ 'done.mp4': done, 'raw.mov': video('raw.mov'), 'new.mp4': video('new.mp4') })
+    const patterns = { include: [], exclude: ['*.mov'] }
+    await scanner.scan(dir, patterns)
+    expect((await scanner.scan(dir, patterns)).map(f => f.name)).toEqual(['new.mp4'])
+  })
+
+  it('returns a file again until the caller marks it seen', async () => {
+    const scanner = createFolderScanner()
+    const dir = folder({ 'a.mp4': video('a.mp4') })
+    await scanner.scan(dir)
+    const [file] = await scanner.scan(dir)
+    scanner.seen.add(fileKey(file))
+    await scanner.scan(dir)
+    expect(await scanner.scan(dir)).toEqual([])
+  })
+})
+
+describe('findFolder', () => {
+  // handles to the same directory are equal by `isSameEntry`, not by name or identity
+  const handle = (path) => ({ name: path.split('/').pop(), path, isSameEntry: async (other) => other.path === path })
+
+  it('tells folders of the same name apart', async () => {
+    const folders = [
+      { key: 'watch-input:a', handle: handle('/work/clips') },
+      { key: 'watch-input:b', handle: handle('/home/clips') },
+    ]
+    expect(await findFolder(handle('/home/clips'), folders)).toBe('watch-input:b')
+    expect(await findFolder(handle('/tmp/clips'), folders)).toBe(null)
+  })
+
+  it('ignores the stored output folder', async () => {
+    expect(await findFolder(handle('/out'), [{ key: OUTPUT_KEY, handle: handle('/out') }])).toBe(null)
+  })
+})
@@ -0,0 +1,69 @@
+import { dataUrlToBlob } from './overlays'
+import { loadWatermarkImage, saveWatermarkImage, storageAvailable } from './storage'
+
+// Watermark images, stored once each under the SHA-256 of their bytes.
+// Settings (and so queue items and saved presets) refer to an image by that
+// id; only exported preset files carry the image itself, as a data URL.
+
+const cache = new Map() // id -> Blob
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('')
+
+export const hashWatermark = async (blob) => toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()))
+
+export const isWatermarkId = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value)
+
+/** Stores an image and resolves with its id; the same image always gets the same id. */
+export const addWatermark = async (blob) => {
+  const id = await hashWatermark(blob)
+  if (!cache.has(id)) {
+    cache.set(id, blob)
+    // the image still works in this tab if it cannot be stored
+    if (storageAvailable()) await saveWatermarkImage(id, blob).catch(err => console.warn('Could not save the watermark image', err))
+  }
+  return id
+}
+
+/** The image stored under `id`, or null if this browser does not have it. */
+export const loadWatermark = async (id) => {
+  if (!cache.has(id) && storageAvailable()) {
+    const blob = await loadWatermarkImage(id).catch(() => null)
+    if (blob) cache.set(id, blob)
+  }
+  return cache.get(id) ?? null
+}
+
+const toDataUrl = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  let binary = ''
+  // String.fromCharCode takes its arguments on the stack, so go in chunks
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`
+}
+
+/** `{ id: dataUrl }` of the images the presets use, for an exported file. */
+export const exportWatermarks = async (presets) => {
+  const images = {}
+  for (const id of new Set(presets.map(p => p.settings.watermarkId).filter(Boolean))) {
+    const blob = await loadWatermark(id)
+    if (blob) images[id] = await toDataUrl(blob)
+  }
+  return images
+}
+
+/**
+ * Stores the images of an imported presets file (`{ id: dataUrl }`) and
+ * points the presets at them. A preset whose image is neither in the file nor
+ * in this browser loses its watermark.
+ */
+export const importWatermarks = async (presets, images) => {
+  // the file's ids are only trusted once the images are hashed here
+  const stored = new Map()
+  for (const [id, dataUrl] of Object.entries(images)) stored.set(id, await addWatermark(dataUrlToBlob(dataUrl)))
+  return Promise.all(presets.map(async preset => {
+    const { watermarkId } = preset.settings
+    if (!watermarkId) return preset
+    const id = stored.get(watermarkId) ?? ((await loadWatermark(watermarkId)) ? watermarkId : null)
+    return { ...preset, settings: { ...preset.settings, watermarkId: id, watermarkName: id ? preset.settings.watermarkName : '' } }
+  }))
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest'
+import { defaultSettings } from './settings'
+import { addWatermark, exportWatermarks, hashWatermark, importWatermarks, isWatermarkId, loadWatermark } from './watermarks'
+
+const ABC = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' // SHA-256 of "abc"
+const image = (text) => new Blob([text], { type: 'image/png' })
+const preset = (name, watermarkId) => ({ id: name, name, settings: { ...defaultSettings, watermarkId, watermarkName: watermarkId ? `${name}.png` : '' } })
+
+describe('hashWatermark', () => {
+  it('names an image by the SHA-256 of its bytes', async () => {
+    expect(await hashWatermark(image('abc'))).toBe(ABC)
+    expect(isWatermarkId(ABC)).toBe(true)
+    expect(isWatermarkId(ABC.toUpperCase())).toBe(false)
+    expect(isWatermarkId('data:image/png;base64,AAEC')).toBe(false)
+  })
+})
+
+describe('addWatermark', () => {
+  it('keeps one copy of each image', async () => {
+    const first = image('logo')
+    const id = await addWatermark(first)
+    expect(await addWatermark(image('logo'))).toBe(id)
+    expect(await loadWatermark(id)).toBe(first)
+    expect(await loadWatermark('0'.repeat(64))).toBeNull()
+  })
+})
+
+describe('exportWatermarks / importWatermarks', () => {
+  it('carries the images the presets use', async () => {
+    const id = await addWatermark(image('export'))
+    const images = await exportWatermarks([preset('a', id), preset('b', id), preset('c', null)])
+    expect(images).toEqual({ [id]: `data:image/png;base64,${btoa('export')}` })
+  })
+
+  it('stores imported images under their own hash', async () => {
+    const claimed = 'c'.repeat(64)
+    const [imported] = await importWatermarks([preset('a', claimed)], { [claimed]: `data:image/png;base64,${btoa('abc')}` })
+    expect(imported.settings).toMatchObject({ watermarkId: ABC, watermarkName: 'a.png' })
+    expect(await (await loadWatermark(ABC)).text()).toBe('abc')
+  })
+
+  it('keeps images this browser has and drops the others', async () => {
+    const id = await addWatermark(image('known'))
+    const missing = 'd'.repeat(64)
+    const imported = await importWatermarks([preset('a', id), preset('b', missing), preset('c', null)], {})
+    expect(imported.map(p => [p.settings.watermarkId, p.settings.watermarkName])).toEqual([[id, 'a.png'], [null, ''], [null, '']])
+  })
+})
@@ -0,0 +1,114 @@
+// Minimal streaming ZIP writer (store only; the videos are already
+// compressed). Entries are yielded as a sequence of header bytes and the
+// original Blobs, so an archive never needs to be materialised in memory:
+// `new Blob(parts)` references the entry Blobs instead of copying them, and a
+// file writable can take the parts one at a time. ZIP64 records are added
+// when sizes or offsets pass 4 GB.
+
+const MAX32 = 0xffffffff
+
+const crcTable = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+// Streams the Blob in chunks so large videos are never read into one buffer.
+export const crc32 = async (blob) => {
+  let crc = MAX32
+  const reader = blob.stream().getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    for (let i = 0; i < value.length; i++) crc = crcTable[(crc ^ value[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ MAX32) >>> 0
+}
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+class Bytes {
+  constructor(size) {
+    this.buf = new Uint8Array(size)
+    this.view = new DataView(this.buf.buffer)
+    this.pos = 0
+  }
+  u16(n) { this.view.setUint16(this.pos, n, true); this.pos += 2; return this }
+  u32(n) { this.view.setUint32(this.pos, n, true); this.pos += 4; return this }
+  u64(n) { this.view.setBigUint64(this.pos, BigInt(n), true); this.pos += 8; return this }
+  bytes(b) { this.buf.set(b, this.pos); this.pos += b.length; return this }
+}
+
+const zip64Extra = (values) => {
+  if (!values.length) return new Uint8Array(0)
+  const b = new Bytes(4 + values.length * 8).u16(0x0001).u16(values.length * 8)
+  values.forEach(v => b.u64(v))
+  return b.buf
+}
+
+/**
+ * Yields the parts of a ZIP archive for `entries` (`{ name, blob, date }`).
+ * `onEntry(index)` is called before each entry's data is checksummed.
+ */
+export async function* zipParts(entries, { onEntry } = {}) {
+  const encoder = new TextEncoder()
+  const central = []
+  let offset = 0
+
+  for (const [index, entry] of entries.entries()) {
+    onEntry?.(index)
+    const name = encoder.encode(entry.name)
+    const size = entry.blob.size
+    const crc = await crc32(entry.blob)
+    const { time, date } = dosDateTime(entry.date ?? new Date())
+    const big = size >= MAX32
+    const version = big || offset >= MAX32 ? 45 : 20
+
+    const localExtra = zip64Extra(big ? [size, size] : [])
+    const local = new Bytes(30 + name.length + localExtra.length)
+      .u32(0x04034b50).u16(version).u16(0x0800).u16(0).u16(time).u16(date)
+      .u32(crc).u32(big ? MAX32 : size).u32(big ? MAX32 : size)
+      .u16(name.length).u16(localExtra.length).bytes(name).bytes(localExtra)
+    yield local.buf
+    yield entry.blob
+
+    central.push({ name, size, crc, time, date, offset, version })
+    offset += local.buf.length + size
+  }
+
+  const cdStart = offset
+  for (const e of central) {
+    const bigSize = e.size >= MAX32
+    const bigOffset = e.offset >= MAX32
+    const extra = zip64Extra([...(bigSize ? [e.size, e.size] : []), ...(bigOffset ? [e.offset] : [])])
+    const header = new Bytes(46 + e.name.length + extra.length)
+      .u32(0x02014b50).u16(45).u16(e.version).u16(0x0800).u16(0).u16(e.time).u16(e.date)
+      .u32(e.crc).u32(bigSize ? MAX32 : e.size).u32(bigSize ? MAX32 : e.size)
+      .u16(e.name.length).u16(extra.length).u16(0).u16(0).u16(0).u32(0)
+      .u32(bigOffset ? MAX32 : e.offset).bytes(e.name).bytes(extra)
+    yield header.buf
+    offset += header.buf.length
+  }
+  const cdSize = offset - cdStart
+
+  const needs64 = central.length >= 0xffff || cdStart >= MAX32 || cdSize >= MAX32
+  if (needs64) {
+    yield new Bytes(56 + 20)
+      .u32(0x06064b50).u64(44).u16(45).u16(45).u32(0).u32(0)
+      .u64(central.length).u64(central.length).u64(cdSize).u64(cdStart)
+      .u32(0x07064b50).u32(0).u64(offset).u32(1)
+      .buf
+  }
+  yield new Bytes(22)
+    .u32(0x06054b50).u16(0).u16(0)
+    .u16(needs64 ? 0xffff : central.length).u16(needs64 ? 0xffff : central.length)
+    .u32(needs64 ? MAX32 : cdSize).u32(needs64 ? MAX32 : cdStart).u16(0)
+    .buf
+}
@@ -0,0 +1,179 @@
+import { describe, expect, it } from 'vitest'
+import { crc32, zipParts } from './zip'
+
+const MAX32 = 0xffffffff
+const date = new Date(2026, 2, 4, 12, 30, 10)
+
+const collect = async (entries) => {
+  const parts = []
+  for await (const part of zipParts(entries)) parts.push(part)
+  return parts
+}
+
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+// Reads an archive back the way an unzipper does: end record, central
+// directory, then each local header and its data.
+const unzip = (bytes) => {
+  const v = view(bytes)
+  const eocd = bytes.length - 22
+  expect(v.getUint32(eocd, true)).toBe(0x06054b50)
+  const count = v.getUint16(eocd + 10, true)
+  let pos = v.getUint32(eocd + 16, true)
+  const decoder = new TextDecoder()
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    expect(v.getUint32(pos, true)).toBe(0x02014b50)
+    const flags = v.getUint16(pos + 8, true)
+    const crc = v.getUint32(pos + 16, true)
+    const size = v.getUint32(pos + 20, true)
+    const nameLength = v.getUint16(pos + 28, true)
+    const extraLength = v.getUint16(pos + 30, true)
+    const commentLength = v.getUint16(pos + 32, true)
+    const offset = v.getUint32(pos + 42, true)
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength))
+    pos += 46 + nameLength + extraLength + commentLength
+
+    expect(v.getUint32(offset, true)).toBe(0x04034b50)
+    expect(v.getUint32(offset + 14, true)).toBe(crc)
+    const localName = v.getUint16(offset + 26, true)
+    const localExtra = v.getUint16(offset + 28, true)
+    const start = offset + 30 + localName + localExtra
+    entries.push({ name, flags, crc, size, data: bytes.subarray(start, start + size) })
+  }
+  return entries
+}
+
+// Sizes without data, for the ZIP64 limits.
+const fakeBlob = (size) => ({ size, stream: () => new Blob([]).stream() })
+
+// Header fields of the yielded byte parts, skipping the (fake) data.
+const headers = (parts) => parts.filter(p => p instanceof Uint8Array)
+
+describe('crc32', () => {
+  it.each([
+    ['', 0],
+    ['a', 0xe8b7be43],
+    ['123456789', 0xcbf43926],
+    ['The quick brown fox jumps over the lazy dog', 0x414fa339],
+  ])('checksums %j', async (text, expected) => {
+    expect(await crc32(new Blob([text]))).toBe(expected)
+  })
+})
+
+describe('zipParts', () => {
+  it('round-trips entries through the central directory', async () => {
+    const files = [
+      { name: 'a-compressed.mp4', blob: new Blob(['first file']), date },
+      { name: 'b-compressed.webm', blob: new Blob(['second, a bit longer']), date },
+      { name: 'empty.gif', blob: new Blob([]), date },
+    ]
+    const parts = await collect(files)
+    expect(parts.filter(p => p instanceof Blob)).toEqual(files.map(f => f.blob))
+
+    const bytes = new Uint8Array(await new Blob(parts).arrayBuffer())
+    const entries = unzip(bytes)
+    expect(entries.map(e => e.name)).toEqual(files.map(f => f.name))
+    for (const [i, entry] of entries.entries()) {
+      const data = new Uint8Array(await files[i].blob.arrayBuffer())
+      expect(entry.data).toEqual(data)
+      expect(entry.crc).toBe(await crc32(files[i].blob))
+    }
+  })
+
+  it('stores UTF-8 names with the language encoding flag', async () => {
+    const name = 'Überblick – 動画 (1).mp4'
+    const bytes = new Uint8Array(await new Blob(await collect([{ name, blob: new Blob(['x']), date }])).arrayBuffer())
+    const [entry] = unzip(bytes)
+    expect(entry.name).toBe(name)
+    expect(entry.flags & 0x0800).toBe(0x0800)
+    const v = view(bytes)
+    expect(v.getUint16(26, true)).toBe(new TextEncoder().encode(name).length)
+    expect(v.getUint16(6, true) & 0x0800).toBe(0x0800)
+  })
+
+  it('writes DOS dates', async () => {
+    const [local] = await collect([{ name: 'a', blob: new Blob(['x']), date }])
+    const v = view(local)
+    expect(v.getUint16(10, true)).toBe((12 << 11) | (30 << 5) | 5)
+    expect(v.getUint16(12, true)).toBe(((2026 - 1980) << 9) | (3 << 5) | 4)
+  })
+
+  it('keeps 32-bit sizes just below 4 GB', async () => {
+    const [local, central, end64] = headers(await collect([{ name: 'a', blob: fakeBlob(MAX32 - 1), date }]))
+    const v = view(local)
+    expect(v.getUint16(4, true)).toBe(20)
+    expect(v.getUint32(18, true)).toBe(MAX32 - 1)
+    expect(v.getUint32(22, true)).toBe(MAX32 - 1)
+    expect(v.getUint16(28, true)).toBe(0)
+    expect(view(central).getUint16(30, true)).toBe(0)
+    // with its header the entry ends past 4 GB, so the directory needs a ZIP64 start
+    expect(view(end64).getUint32(0, true)).toBe(0x06064b50)
+    expect(view(end64).getBigUint64(48, true)).toBe(BigInt(local.length + MAX32 - 1))
+  })
+
+  it('switches to ZIP64 sizes at 4 GB', async () => {
+    const size = MAX32
+    const [local, central, end64] = headers(await collect([{ name: 'a', blob: fakeBlob(size), date }]))
+    const v = view(local)
+    expect(v.getUint16(4, true)).toBe(45)
+    expect(v.getUint32(18, true)).toBe(MAX32)
+    expect(v.getUint32(22, true)).toBe(MAX32)
+    expect(v.getUint16(28, true)).toBe(20)
+    const extra = 30 + 1
+    expect(v.getUint16(extra, true)).toBe(0x0001)
+    expect(v.getUint16(extra + 2, true)).toBe(16)
+    expect(v.getBigUint64(extra + 4, true)).toBe(BigInt(size))
+    expect(v.getBigUint64(extra + 12, true)).toBe(BigInt(size))
+
+    const c = view(central)
+    expect(c.getUint32(20, true)).toBe(MAX32)
+    expect(c.getUint32(24, true)).toBe(MAX32)
+    expect(c.getUint32(42, true)).toBe(0)
+    expect(c.getUint16(30, true)).toBe(20)
+    expect(c.getBigUint64(46 + 1 + 4, true)).toBe(BigInt(size))
+
+    // the central directory now starts past 4 GB
+    const e = view(end64)
+    expect(e.getUint32(0, true)).toBe(0x06064b50)
+    expect(e.getBigUint64(48, true)).toBe(BigInt(local.length + size))
+  })
+
+  it('switches to ZIP64 offsets for entries that start past 4 GB', async () => {
+    const first = MAX32 - 10
+    const parts = headers(await collect([
+      { name: 'a', blob: fakeBlob(first), date },
+      { name: 'b', blob: fakeBlob(5), date },
+    ]))
+    // the ZIP64 end record and its locator come as one part
+    const [localA, localB, centralA, centralB, end64, end] = parts
+    const offsetB = localA.length + first
+    expect(offsetB).toBeGreaterThanOrEqual(MAX32)
+
+    // b itself is small, but lives past 4 GB
+    expect(view(localB).getUint16(4, true)).toBe(45)
+    expect(view(localB).getUint16(28, true)).toBe(0)
+
+    expect(view(centralA).getUint32(42, true)).toBe(0)
+    expect(view(centralA).getUint16(30, true)).toBe(0)
+    const c = view(centralB)
+    expect(c.getUint32(42, true)).toBe(MAX32)
+    expect(c.getUint16(30, true)).toBe(12)
+    expect(c.getUint16(46 + 1, true)).toBe(0x0001)
+    expect(c.getBigUint64(46 + 1 + 4, true)).toBe(BigInt(offsetB))
+
+    const cdStart = offsetB + localB.length + 5
+    const e64 = view(end64)
+    expect(e64.getBigUint64(32, true)).toBe(2n)
+    expect(e64.getBigUint64(40, true)).toBe(BigInt(centralA.length + centralB.length))
+    expect(e64.getBigUint64(48, true)).toBe(BigInt(cdStart))
+    expect(e64.getUint32(56, true)).toBe(0x07064b50)
+    expect(e64.getBigUint64(56 + 8, true)).toBe(BigInt(cdStart + centralA.length + centralB.length))
+
+    const e = view(end)
+    expect(e.getUint32(0, true)).toBe(0x06054b50)
+    expect(e.getUint16(8, true)).toBe(0xffff)
+    expect(e.getUint32(12, true)).toBe(MAX32)
+    expect(e.getUint32(16, true)).toBe(MAX32)
+  })
+})
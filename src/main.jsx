@@ -3,6 +3,12 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+// Inter is bundled, not fetched from a font CDN, so the first paint waits on
+// nothing outside the app and it looks the same offline.
+import '@fontsource/inter/latin-400.css'
+import '@fontsource/inter/latin-500.css'
+import '@fontsource/inter/latin-600.css'
+import '@fontsource/inter/latin-700.css'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -14,4 +20,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       </Routes>
     </BrowserRouter>
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Offline support; the worker only exists in production builds.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed', err))
+  })
+}
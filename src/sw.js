@@ -0,0 +1,63 @@
+/* global self, caches */
+// Built into dist/sw.js by the `serviceWorker` plugin in vite.config.js,
+// which replaces the precache placeholders below.
+
+const VERSION = '__SW_VERSION__'
+const PRECACHE = __SW_PRECACHE__
+const CACHE = `compressor-${VERSION}`
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting()),
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('compressor-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+// Sent by the page once it has loaded an FFmpeg core (see src/lib/offline.js).
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-urls') return
+  event.waitUntil(
+    caches.open(CACHE).then(cache => Promise.all(event.data.urls.map(async url => {
+      if (!(await cache.match(url))) await cache.add(url)
+    }))),
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  // Client-side routes all resolve to the app shell; prefer a fresh copy.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(res => {
+          const copy = res.clone()
+          caches.open(CACHE).then(cache => cache.put('/', copy))
+          return res
+        })
+        .catch(() => caches.match('/')),
+    )
+    return
+  }
+
+  // Built assets are content-hashed, so the cached copy is always correct.
+  event.respondWith(
+    caches.match(request).then(hit => hit || fetch(request).then(res => {
+      if (res.ok) {
+        const copy = res.clone()
+        caches.open(CACHE).then(cache => cache.put(request, copy))
+      }
+      return res
+    })),
+  )
+})
@@ -1,11 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+
+// Emits dist/sw.js from src/sw.js with every built asset and public file in
+// its precache list, so the app works offline. The ~30 MB FFmpeg wasm files
+// are left out; the page asks the worker to cache the one core it loads.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = [
+      '/',
+      ...Object.keys(bundle).filter(f => !f.endsWith('.wasm')).map(f => `/${f}`),
+      ...readdirSync('public').map(f => `/${f}`),
+    ]
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync('src/sw.js', 'utf8')
+      .replace('__SW_VERSION__', version)
+      .replace('__SW_PRECACHE__', JSON.stringify(files))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
+
+// Cross-origin isolation unlocks SharedArrayBuffer for the threaded FFmpeg
+// core. Keep in sync with the headers in vercel.json.
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp',
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
-    exclude: [],
+    // (@ffmpeg/ffmpeg spawns its worker from a URL relative to its own module)
+    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
     // Entries point for dependency pre-bundling
     entries: ['./src/**/*.{js,jsx,ts,tsx}'],
     // Hold the first optimizeDeps run until all dependencies are discovered
@@ -15,6 +45,7 @@ export default defineConfig({
     port: 3000,
     host: '0.0.0.0',
     strictPort: true,
+    headers: isolationHeaders,
     hmr: false,
     watch: false,
     cors: {
@@ -26,5 +57,8 @@ export default defineConfig({
       'localhost',
       '127.0.0.1'
     ]
+  },
+  preview: {
+    headers: isolationHeaders,
   }
-})
\ No newline at end of file
+})